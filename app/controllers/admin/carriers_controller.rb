@@ -63,6 +63,7 @@ class Admin::CarriersController < ApplicationController
     params.require(:carrier).permit(
       :company_name, :contact_email, :contact_phone, :preferred_contact_method,
       :language, :country, :address, :pickup_radius_km, :ignore_radius,
+      :street, :street_number, :postal_code, :city, :state, :latitude, :longitude,
       :has_transporter, :has_lkw, :lkw_length_cm, :lkw_width_cm, :lkw_height_cm,
       :has_liftgate, :has_pallet_jack, :has_gps_tracking, :blacklisted,
       :rating_communication, :rating_punctuality, :notes,
@@ -38,14 +38,16 @@ class Admin::TransportRequestsController < ApplicationController
   end
 
   def update
-    # Re-geocode if addresses changed
-    if transport_request_params[:start_address].present? && transport_request_params[:start_address] != @transport_request.start_address ||
-       transport_request_params[:destination_address].present? && transport_request_params[:destination_address] != @transport_request.destination_address
-      @transport_request.assign_attributes(transport_request_params.except(:package_items_attributes))
+    @transport_request.assign_attributes(transport_request_params)
+
+    # Re-geocode if addresses or their pins changed
+    if addresses_changed?(@transport_request)
       geocode_addresses(@transport_request)
+    elsif @transport_request.stops.any?(&:changed_for_autosave?)
+      geocode_stops(@transport_request)
     end
 
-    if @transport_request.update(transport_request_params)
+    if @transport_request.save
       redirect_to admin_transport_request_path(@transport_request), notice: "Transport request was successfully updated."
     else
       render :edit, status: :unprocessable_entity
@@ -91,42 +93,63 @@ class Admin::TransportRequestsController < ApplicationController
       :delivery_date_from, :delivery_date_to, :delivery_notes,
       :pickup_time_from, :pickup_time_to,
       :delivery_time_from, :delivery_time_to,
+      :pickup_time_zone, :delivery_time_zone,
       :vehicle_type, :cargo_length_cm, :cargo_width_cm, :cargo_height_cm,
       :cargo_weight_kg, :loading_meters, :total_height_cm, :total_weight_kg,
       :shipping_mode,
       :requires_liftgate, :requires_pallet_jack, :requires_side_loading,
       :requires_tarp, :requires_gps_tracking, :driver_language,
-      package_items_attributes: [:id, :package_type, :quantity, :length_cm, :width_cm, :height_cm, :weight_kg, :_destroy]
+      package_items_attributes: [:id, :package_type, :quantity, :length_cm, :width_cm, :height_cm, :weight_kg, :stackable, :dangerous_goods, :un_number, :adr_class, :packing_group, :proper_shipping_name, :tunnel_code, :limited_quantity, :_destroy],
+      stops_attributes: [
+        :id, :position, :stop_type, :address, :latitude, :longitude, :country, :company_name,
+        :street, :street_number, :city, :state, :postal_code, :notes, :window_from, :window_to, :_destroy
+      ]
     )
   end
 
+  def addresses_changed?(request)
+    %w[start destination].product(%w[address latitude longitude]).any? do |prefix, field|
+      request.will_save_change_to_attribute?("#{prefix}_#{field}")
+    end
+  end
+
+  # Coordinates posted with the address (a picked suggestion or a dragged pin)
+  # are kept, the geocoder only fills in addresses that came without them
   def geocode_addresses(request)
-    # Geocode start address
-    if request.start_address.present?
-      start_result = Geocoder.search(request.start_address).first
-      if start_result
-        request.start_latitude = start_result.latitude
-        request.start_longitude = start_result.longitude
-        request.start_country = start_result.country_code&.upcase
-      end
+    %w[start destination].each do |prefix|
+      address = request[:"#{prefix}_address"]
+      next if address.blank? || picked_coordinates?(request, prefix)
+
+      result = Geocoder.search(address).first
+      next unless result
+
+      request[:"#{prefix}_latitude"] = result.latitude
+      request[:"#{prefix}_longitude"] = result.longitude
+      request[:"#{prefix}_country"] = result.country_code&.upcase
     end
 
-    # Geocode destination address
-    if request.destination_address.present?
-      dest_result = Geocoder.search(request.destination_address).first
-      if dest_result
-        request.destination_latitude = dest_result.latitude
-        request.destination_longitude = dest_result.longitude
-        request.destination_country = dest_result.country_code&.upcase
+    geocode_stops(request)
+  end
+
+  def picked_coordinates?(request, prefix)
+    request.will_save_change_to_attribute?("#{prefix}_latitude") && request[:"#{prefix}_latitude"].present?
+  end
+
+  # Geocode intermediate stops that came without coordinates and
+  # recalculate the distance along all stops
+  def geocode_stops(request)
+    request.stops.each do |stop|
+      next if stop.marked_for_destruction? || stop.latitude.present? || stop.address.blank?
+
+      stop_result = Geocoder.search(stop.address).first
+      if stop_result
+        stop.latitude = stop_result.latitude
+        stop.longitude = stop_result.longitude
+        stop.country = stop_result.country_code&.upcase
       end
     end
 
-    # Calculate distance
-    if request.start_latitude && request.destination_latitude
-      request.distance_km = Geocoder::Calculations.distance_between(
-        [ request.start_latitude, request.start_longitude ],
-        [ request.destination_latitude, request.destination_longitude ]
-      ).round
-    end
+    distance = request.straight_line_distance_km
+    request.distance_km = distance.round if distance
   end
 end
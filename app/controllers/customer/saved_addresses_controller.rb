@@ -0,0 +1,37 @@
+module Customer
+  # Address book for the address inputs on the transport request form (JSON only)
+  class SavedAddressesController < BaseController
+    def index
+      render json: {
+        saved: current_user.saved_addresses.order(:company_name, :address).map(&:as_place_json),
+        recent: SavedAddress.recent_for(current_user).map(&:as_place_json)
+      }
+    end
+
+    def create
+      saved_address = current_user.saved_addresses.find_or_initialize_by(address: saved_address_params[:address])
+      saved_address.assign_attributes(saved_address_params)
+
+      if saved_address.save
+        render json: saved_address.as_place_json, status: :created
+      else
+        render json: { errors: saved_address.errors.full_messages }, status: :unprocessable_entity
+      end
+    end
+
+    def destroy
+      current_user.saved_addresses.find(params[:id]).destroy
+      head :no_content
+    end
+
+    private
+
+    def saved_address_params
+      params.require(:saved_address).permit(
+        :address, :company_name, :contact_name, :contact_phone, :gate_notes,
+        :street, :street_number, :postal_code, :city, :state, :country,
+        :latitude, :longitude
+      )
+    end
+  end
+end
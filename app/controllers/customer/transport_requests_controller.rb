@@ -21,21 +21,24 @@ module Customer
     def create
       @transport_request = current_user.transport_requests.build(transport_request_params)
       @transport_request.status = "new"
+      draft_key = helpers.transport_request_draft_key(@transport_request)
 
-      # Calculate distance if coordinates are present
-      if @transport_request.start_latitude && @transport_request.destination_latitude
-        @transport_request.distance_km = Geocoder::Calculations.distance_between(
-          [ @transport_request.start_latitude, @transport_request.start_longitude ],
-          [ @transport_request.destination_latitude, @transport_request.destination_longitude ]
-        ).round
-      end
+      # Manually entered addresses (maps unavailable in the browser) arrive without coordinates
+      geocode_missing_coordinates(@transport_request)
+      calculate_distance(@transport_request)
 
       # Geocode addresses before saving (using params from autocomplete)
-      if @transport_request.save
+      if @transport_request.save(context: :customer_booking)
+        flash[:discard_form_draft] = draft_key
+
         # Generate quote automatically
         quote = Pricing::Calculator.new(@transport_request).calculate
 
         if quote
+          SendPushNotificationsJob.perform_later(
+            [ current_user.id ], "quote_ready", customer_transport_request_path(@transport_request),
+            id: @transport_request.id, total: quote.total_price, currency: quote.currency
+          )
           redirect_to customer_transport_request_path(@transport_request),
                       notice: t('transport_requests.created_with_quote')
         else
@@ -51,7 +54,14 @@ module Customer
     end
 
     def update
-      if @transport_request.update(transport_request_params)
+      @transport_request.assign_attributes(transport_request_params)
+      if route_changed?(@transport_request)
+        geocode_missing_coordinates(@transport_request)
+        calculate_distance(@transport_request)
+      end
+
+      if @transport_request.save(context: :customer_booking)
+        flash[:discard_form_draft] = helpers.transport_request_draft_key(@transport_request)
         redirect_to customer_transport_request_path(@transport_request),
                     notice: "Request updated successfully."
       else
@@ -65,12 +75,95 @@ module Customer
                   notice: "Request cancelled successfully."
     end
 
+    # Price for the form as filled in so far (JSON only), nothing is saved.
+    # Only addresses with coordinates count; geocoding waits for the submit.
+    def quote_preview
+      transport_request = current_user.transport_requests.build(transport_request_params)
+      calculate_distance(transport_request)
+
+      calculator = Pricing::Calculator.new(transport_request)
+      quote = calculator.preview
+
+      if quote
+        render json: {
+          distance_km: transport_request.distance_km,
+          currency: quote.currency,
+          line_items: quote.quote_line_items.map { |item|
+            { description: item.description, calculation: item.calculation, amount: item.amount.to_f }
+          },
+          surcharge_total: quote.surcharge_total.to_f,
+          total_price: quote.total_price.to_f
+        }
+      else
+        render json: { errors: calculator.errors }, status: :unprocessable_entity
+      end
+    end
+
     private
 
     def set_transport_request
       @transport_request = current_user.transport_requests.find(params[:id])
     end
 
+    def geocode_missing_coordinates(request)
+      %w[start destination].each do |prefix|
+        next if request[:"#{prefix}_latitude"].present?
+
+        query = geocoding_query(request, prefix)
+        next if query.blank?
+
+        result = Geocoder.search(query).first
+        next unless result
+
+        request[:"#{prefix}_latitude"] = result.latitude
+        request[:"#{prefix}_longitude"] = result.longitude
+        request[:"#{prefix}_country"] = result.country_code&.upcase if request[:"#{prefix}_country"].blank?
+      end
+
+      request.stops.each do |stop|
+        next if stop.marked_for_destruction? || stop.latitude.present?
+
+        query = geocoding_query(stop)
+        next if query.blank?
+
+        result = Geocoder.search(query).first
+        next unless result
+
+        stop.latitude = result.latitude
+        stop.longitude = result.longitude
+        stop.country = result.country_code&.upcase if stop.country.blank?
+      end
+    end
+
+    # Prefer the structured address parts; fall back to the free-text address.
+    # Stops use the same attribute names without a prefix.
+    def geocoding_query(record, prefix = nil)
+      field = ->(name) { record[[ prefix, name ].compact.join("_").to_sym] }
+
+      parts = [
+        [ field.call("street"), field.call("street_number") ].compact_blank.join(" "),
+        [ field.call("postal_code"), field.call("city") ].compact_blank.join(" "),
+        field.call("country")
+      ].compact_blank
+
+      parts.size > 1 ? parts.join(", ") : field.call("address")
+    end
+
+    # New addresses or coordinates, stops added, removed or reordered, or
+    # waypoints still without coordinates
+    def route_changed?(request)
+      fields = %w[start destination].product(%w[address latitude longitude]).map { |parts| parts.join("_") }
+
+      fields.any? { |field| request.will_save_change_to_attribute?(field) } ||
+        request.stops.any?(&:changed_for_autosave?) ||
+        request.waypoints.any? { |point| point[:lat].blank? }
+    end
+
+    def calculate_distance(request)
+      distance = request.straight_line_distance_km
+      request.distance_km = distance.round if distance
+    end
+
     def transport_request_params
       params.require(:transport_request).permit(
         :start_address, :destination_address,
@@ -83,6 +176,9 @@ module Customer
         :destination_city, :destination_state, :destination_postal_code, :destination_notes,
         :pickup_date_from, :pickup_date_to, :pickup_notes,
         :delivery_date_from, :delivery_date_to, :delivery_notes,
+        :pickup_time_from, :pickup_time_to,
+        :delivery_time_from, :delivery_time_to,
+        :pickup_time_zone, :delivery_time_zone,
         :vehicle_type, :cargo_length_cm, :cargo_width_cm, :cargo_height_cm,
         :cargo_weight_kg, :loading_meters,
         :requires_liftgate, :requires_pallet_jack, :requires_side_loading,
@@ -91,7 +187,15 @@ module Customer
         :shipping_mode, :total_height_cm, :total_weight_kg,
         package_items_attributes: [
           :id, :package_type, :quantity,
-          :length_cm, :width_cm, :height_cm, :weight_kg,
+          :length_cm, :width_cm, :height_cm, :weight_kg, :stackable,
+          :dangerous_goods, :un_number, :adr_class, :packing_group, :proper_shipping_name, :tunnel_code, :limited_quantity,
+          :_destroy
+        ],
+        stops_attributes: [
+          :id, :position, :stop_type, :address,
+          :latitude, :longitude, :country, :company_name,
+          :street, :street_number, :city, :state, :postal_code, :notes,
+          :window_from, :window_to,
           :_destroy
         ]
       )
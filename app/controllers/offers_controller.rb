@@ -15,6 +15,12 @@ class OffersController < ApplicationController
         status: "offered",
         response_date: Time.current
       )
+      SendPushNotificationsJob.perform_later(
+        User.where(role: %w[admin dispatcher]).ids, "offer_submitted", admin_carrier_request_path(@carrier_request),
+        carrier: @carrier_request.carrier.company_name,
+        price: @carrier_request.offered_price, currency: "EUR",
+        id: @carrier_request.transport_request_id
+      )
       redirect_to offer_path(@carrier_request), notice: "Ihr Angebot wurde erfolgreich übermittelt."
     else
       @transport_request = @carrier_request.transport_request
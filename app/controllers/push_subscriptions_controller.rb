@@ -0,0 +1,32 @@
+# Browsers of the signed-in user that receive push notifications (JSON only)
+class PushSubscriptionsController < ApplicationController
+  before_action :authenticate_user!
+
+  def create
+    # An endpoint belongs to one browser profile; whoever signed in last gets its notifications
+    subscription = PushSubscription.find_or_initialize_by(endpoint: subscription_params[:endpoint])
+    subscription.assign_attributes(
+      user: current_user,
+      p256dh_key: subscription_params.dig(:keys, :p256dh),
+      auth_key: subscription_params.dig(:keys, :auth),
+      user_agent: request.user_agent
+    )
+
+    if subscription.save
+      head :created
+    else
+      render json: { errors: subscription.errors.full_messages }, status: :unprocessable_entity
+    end
+  end
+
+  def destroy
+    current_user.push_subscriptions.where(endpoint: subscription_params[:endpoint]).destroy_all
+    head :no_content
+  end
+
+  private
+
+  def subscription_params
+    params.require(:push_subscription).permit(:endpoint, keys: [ :p256dh, :auth ])
+  end
+end
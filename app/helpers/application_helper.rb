@@ -7,4 +7,22 @@ module ApplicationHelper
       end
     end
   end
+
+  # National holidays for the datetime picker, from this month until the month after its
+  # booking horizon (deliveries may end a few transit days beyond it)
+  def datetime_picker_holidays(horizon_days: 30)
+    first_day = Date.current.beginning_of_month
+    last_day = (Date.current + horizon_days.days).next_month.end_of_month
+    Calendar::Holidays.for_range(first_day..last_day).to_json
+  end
+
+  # localStorage key of the transport request form draft, per user and record
+  def transport_request_draft_key(transport_request)
+    "transport_request_draft/#{current_user.id}/#{transport_request.persisted? ? transport_request.id : 'new'}"
+  end
+
+  # Country time zones for the datetime picker, resolved like TransportRequest#assign_time_zones
+  def datetime_picker_time_zones
+    Calendar::TimeZones.dataset.to_json
+  end
 end
@@ -1,8 +1,44 @@
-import { Controller } from "@hotwired/stimulus"
+import TranslatedController from "helpers/translated_controller"
+import { mapProvider } from "maps"
+import PlaceAutocomplete from "maps/place_autocomplete"
 
-// Enhanced Address Autocomplete Controller with EU Focus & Detailed Fields
+// Fields written from a geocoded place (coordinates and company name excluded)
+const ADDRESS_TARGETS = ["input", "street", "streetNumber", "city", "state", "postalCode", "country"]
+
+// Lanes we serve: EU core, UK, Scandinavia and the Baltics
+const DEFAULT_COUNTRIES = [
+  "DE", "PL", "AT", "CH", "FR", "IT", "NL", "BE",
+  "ES", "CZ", "SK", "HU", "RO", "BG", "HR", "SI",
+  "GB", "DK", "SE", "NO", "FI", "EE", "LV", "LT"
+]
+
+// Address books are fetched once per page and shared by all address inputs
+const addressBooks = new Map()
+
+function loadAddressBook(url) {
+  if (!addressBooks.has(url)) {
+    const request = fetch(url, { headers: { Accept: "application/json" } }).then(response => {
+      if (!response.ok) throw new Error(`Address book could not be loaded (${response.status})`)
+      return response.json()
+    })
+    // Let a later input retry after a failed request
+    request.catch(() => addressBooks.delete(url))
+    addressBooks.set(url, request)
+  }
+  return addressBooks.get(url)
+}
+
+// Address Autocomplete Controller with Detailed Fields
 // Connects to data-controller="address-autocomplete"
-export default class extends Controller {
+//
+// Configurable per instance:
+//   data-address-autocomplete-countries-value='["DE","AT"]'   allowed countries, [] for worldwide
+//   data-address-autocomplete-types-value='["establishment"]'  "address" or "establishment"
+//   data-address-autocomplete-bias-value='{"lat":52.5,"lng":13.4,"radiusKm":50}'
+//   data-address-autocomplete-address-book-url-value="/customer/saved_addresses"
+//     lists saved and recently used addresses above the live suggestions
+// Texts come from `translations` (address_autocomplete.* in config/locales).
+export default class extends TranslatedController {
   static targets = [
     "input",
     "latitude",
@@ -16,98 +52,288 @@ export default class extends Controller {
     "postalCode",
     "detailsSection",
     "mapContainer",
-    "toggleButton"
+    "toggleButton",
+    "manualEntryNotice",
+    "pinConfirmation",
+    "pinAddress",
+    "notes",
+    "saveAddress",
+    "saveAddressButton",
+    "saveAddressForm",
+    "saveAddressStatus",
+    "contactName",
+    "contactPhone",
+    "gateNotes"
   ]
 
-  connect() {
-    this.detailsVisible = false
-    if (typeof google !== "undefined" && google.maps && google.maps.places) {
+  static values = {
+    countries: { type: Array, default: DEFAULT_COUNTRIES },
+    types: Array,
+    bias: Object,
+    addressBookUrl: String
+  }
+
+  async connect() {
+    // Read from the DOM: reordered stop rows reconnect with their details open
+    this.detailsVisible = this.hasDetailsSectionTarget && !this.detailsSectionTarget.classList.contains("hidden")
+    this.manualEntry = false
+
+    try {
+      this.provider = await mapProvider()
+    } catch {
+      this.enableManualEntry()
+      return
+    }
+
+    if (this.element.isConnected) {
+      this.loadAddressBook()
       this.initAutocomplete()
-    } else {
-      // Wait for Google Maps to load (it's loaded via script tag in layout)
-      this.waitForGoogleMaps()
+      this.showStoredLocation()
     }
   }
 
-  waitForGoogleMaps() {
-    if (typeof google !== "undefined" && google.maps && google.maps.places) {
-      this.initAutocomplete()
-    } else {
-      setTimeout(() => this.waitForGoogleMaps(), 100)
+  disconnect() {
+    this.autocomplete?.destroy()
+    this.removeMap()
+    if (this.composeListener) {
+      this.detailsSectionTarget.removeEventListener("input", this.composeListener)
     }
   }
 
-  initAutocomplete() {
-    const autocomplete = new google.maps.places.Autocomplete(this.inputTarget, {
-      fields: ["address_components", "geometry", "formatted_address", "name", "types"],
-      componentRestrictions: {
-        country: [
-          "DE", "PL", "AT", "CH", "FR", "IT", "NL", "BE",
-          "ES", "CZ", "SK", "HU", "RO", "BG", "HR", "SI"
-        ]
+  // Maps are unavailable: unhide the detail fields so the address can be typed
+  // in by hand. Coordinates stay empty and the server geocodes the address on save.
+  enableManualEntry() {
+    this.manualEntry = true
+
+    if (this.hasManualEntryNoticeTarget) {
+      this.manualEntryNoticeTarget.classList.remove("hidden")
+    }
+    if (this.hasMapContainerTarget) {
+      this.mapContainerTarget.classList.add("hidden")
+    }
+
+    if (this.hasDetailsSectionTarget) {
+      if (this.detailsSectionTarget.classList.contains("hidden")) {
+        this.toggleDetails()
       }
-    })
 
-    autocomplete.addListener("place_changed", () => {
-      const place = autocomplete.getPlace()
+      this.composeListener = () => this.composeAddress()
+      this.detailsSectionTarget.addEventListener("input", this.composeListener)
+    }
+  }
+
+  // Keep the main address field in sync with the manually entered parts,
+  // unless the user has typed something of their own into it. Changed parts
+  // make stored coordinates stale, so they are cleared for the server to redo.
+  composeAddress() {
+    const value = name => {
+      const hasTarget = this[`has${name.charAt(0).toUpperCase() + name.slice(1)}Target`]
+      return hasTarget ? this[`${name}Target`].value.trim() : ""
+    }
+
+    const streetLine = [value("street"), value("streetNumber")].filter(Boolean).join(" ")
+    const cityLine = [value("postalCode"), value("city")].filter(Boolean).join(" ")
+    const composed = [streetLine, cityLine].filter(Boolean).join(", ")
+    if (composed === this.composedAddress) return
+
+    this.setCoordinates(null)
+
+    if (!this.inputTarget.value || this.inputTarget.value === this.composedAddress) {
+      this.inputTarget.value = composed
+      this.updateCollapsedDisplay(composed)
+    }
+    this.composedAddress = composed
+  }
+
+  initAutocomplete() {
+    this.autocomplete = new PlaceAutocomplete(this.inputTarget, this.provider, {
+      countries: this.countriesValue,
+      types: this.typesValue,
+      bias: this.hasBiasValue ? this.biasValue : null,
+      localSuggestions: query => this.addressBookSuggestions(query),
+      liveGroup: this.t("suggestions"),
+      onSelect: place => {
+        // Providers cannot always restrict the search to the full country list
+        if (!this.countryAllowed(place.components.country)) {
+          this.rejectCountry(place.components.country)
+          return
+        }
 
-      if (place.geometry) {
         this.populateFields(place)
-        this.updateMap(place.geometry.location)
+        if (place.fromAddressBook) this.populateAddressBookFields(place)
+        this.showSaveAddress(!place.fromAddressBook)
 
         // Auto-show details section when address is selected
         if (!this.detailsVisible) {
           this.toggleDetails()
         }
+
+        // Render the map once its container is visible. Recently used
+        // addresses may lack coordinates; the server geocodes those on save.
+        if (place.location) this.updateMap(place.location)
       }
     })
   }
 
+  // Address book
+
+  async loadAddressBook() {
+    if (!this.hasAddressBookUrlValue) return
+
+    try {
+      this.addressBook = await loadAddressBook(this.addressBookUrlValue)
+    } catch {
+      // Without the address book only the live suggestions are listed
+    }
+  }
+
+  addressBookSuggestions(query) {
+    if (!this.addressBook) return []
+
+    const needle = query.toLowerCase()
+    const matches = entry => !needle || [entry.formattedAddress, entry.name, entry.contactName]
+      .some(value => value?.toLowerCase().includes(needle))
+
+    const toSuggestion = (entry, group) => ({
+      id: `${group}-${entry.id ?? entry.formattedAddress}`,
+      description: entry.name ? `${entry.name} – ${entry.formattedAddress}` : entry.formattedAddress,
+      detail: [entry.contactName, entry.contactPhone, entry.gateNotes].filter(Boolean).join(" · "),
+      group,
+      place: { ...entry, fromAddressBook: true }
+    })
+
+    return [
+      ...this.addressBook.saved.filter(matches).slice(0, 5).map(entry => toSuggestion(entry, this.t("saved"))),
+      ...this.addressBook.recent.filter(matches).slice(0, 3).map(entry => toSuggestion(entry, this.t("recent")))
+    ]
+  }
+
+  populateAddressBookFields(place) {
+    if (!this.hasNotesTarget) return
+
+    const contact = [place.contactName, place.contactPhone].filter(Boolean).join(", ")
+    const notes = [place.gateNotes, contact && this.t("contact", { contact })].filter(Boolean).join("\n")
+    if (notes) this.notesTarget.value = notes
+  }
+
+  showSaveAddress(visible) {
+    if (!this.hasSaveAddressTarget) return
+
+    this.saveAddressTarget.classList.toggle("hidden", !visible || !this.addressBook)
+    if (this.hasSaveAddressButtonTarget) this.saveAddressButtonTarget.classList.remove("hidden")
+    if (this.hasSaveAddressFormTarget) this.saveAddressFormTarget.classList.add("hidden")
+    if (this.hasSaveAddressStatusTarget) this.saveAddressStatusTarget.classList.add("hidden")
+  }
+
+  openSaveAddress() {
+    if (this.hasGateNotesTarget && this.hasNotesTarget && !this.gateNotesTarget.value) {
+      this.gateNotesTarget.value = this.notesTarget.value
+    }
+
+    this.saveAddressButtonTarget.classList.add("hidden")
+    this.saveAddressFormTarget.classList.remove("hidden")
+    if (this.hasContactNameTarget) this.contactNameTarget.focus()
+  }
+
+  cancelSaveAddress() {
+    this.saveAddressFormTarget.classList.add("hidden")
+    this.saveAddressButtonTarget.classList.remove("hidden")
+  }
+
+  async saveAddress() {
+    const value = name => {
+      const hasTarget = this[`has${name.charAt(0).toUpperCase() + name.slice(1)}Target`]
+      return hasTarget ? this[`${name}Target`].value.trim() : ""
+    }
+
+    const savedAddress = {
+      address: this.inputTarget.value.trim(),
+      company_name: value("companyName"),
+      contact_name: value("contactName"),
+      contact_phone: value("contactPhone"),
+      gate_notes: value("gateNotes"),
+      street: value("street"),
+      street_number: value("streetNumber"),
+      postal_code: value("postalCode"),
+      city: value("city"),
+      state: value("state"),
+      country: value("country"),
+      latitude: value("latitude"),
+      longitude: value("longitude")
+    }
+
+    let entry
+    try {
+      const response = await fetch(this.addressBookUrlValue, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "application/json",
+          "X-CSRF-Token": document.querySelector('meta[name="csrf-token"]')?.content
+        },
+        body: JSON.stringify({ saved_address: savedAddress })
+      })
+      if (response.ok) entry = await response.json()
+    } catch {
+      // Offline: reported as save_failed below
+    }
+
+    this.saveAddressStatusTarget.classList.remove("hidden")
+    if (!entry) {
+      this.saveAddressStatusTarget.textContent = this.t("save_failed")
+      return
+    }
+
+    // The address book is shared, so every address input offers the new entry
+    this.addressBook.saved = [...this.addressBook.saved.filter(saved => saved.id !== entry.id), entry]
+    this.addressBook.recent = this.addressBook.recent.filter(recent => recent.formattedAddress !== entry.formattedAddress)
+
+    this.saveAddressFormTarget.classList.add("hidden")
+    this.saveAddressStatusTarget.textContent = this.t("saved_to_book")
+  }
+
+  countryAllowed(country) {
+    if (!country || this.countriesValue.length === 0) return true
+    return this.countriesValue.includes(country.toUpperCase())
+  }
+
+  rejectCountry(country) {
+    this.inputTarget.setCustomValidity(this.t("country_not_served", { country }))
+    this.inputTarget.reportValidity()
+    this.inputTarget.addEventListener("input", () => this.inputTarget.setCustomValidity(""), { once: true })
+  }
+
   populateFields(place) {
-    // Update main address field with formatted address
-    this.inputTarget.value = place.formatted_address
+    this.hidePinConfirmation()
 
     // Update coordinates
+    this.setCoordinates(place.location)
+
+    // Extract company name (if place is an establishment)
+    const companyName = place.isEstablishment ? place.name : ""
+    if (this.hasCompanyNameTarget) {
+      this.companyNameTarget.value = companyName || ""
+    }
+
+    this.populateAddressFields(place)
+  }
+
+  setCoordinates(location) {
     if (this.hasLatitudeTarget) {
-      this.latitudeTarget.value = place.geometry.location.lat()
+      this.setWatchedValue(this.latitudeTarget, location?.lat ?? "")
     }
     if (this.hasLongitudeTarget) {
-      this.longitudeTarget.value = place.geometry.location.lng()
+      this.setWatchedValue(this.longitudeTarget, location?.lng ?? "")
     }
+  }
 
-    // Parse address components
-    const components = {}
-    place.address_components?.forEach(component => {
-      const types = component.types
-      if (types.includes("street_number")) {
-        components.streetNumber = component.long_name
-      }
-      if (types.includes("route")) {
-        components.street = component.long_name
-      }
-      if (types.includes("locality")) {
-        components.city = component.long_name
-      }
-      if (types.includes("administrative_area_level_1")) {
-        components.state = component.long_name
-      }
-      if (types.includes("postal_code")) {
-        components.postalCode = component.long_name
-      }
-      if (types.includes("country")) {
-        components.country = component.short_name
-      }
-    })
+  populateAddressFields(place) {
+    // Update main address field with formatted address
+    this.inputTarget.value = place.formattedAddress
 
-    // Extract company name (if place is an establishment)
-    const companyName = (place.types?.includes("establishment") || place.types?.includes("point_of_interest"))
-      ? place.name
-      : ""
+    const components = place.components
 
     // Update all detail fields
-    if (this.hasCompanyNameTarget) {
-      this.companyNameTarget.value = companyName || ""
-    }
     if (this.hasStreetTarget) {
       this.streetTarget.value = components.street || ""
     }
@@ -124,43 +350,124 @@ export default class extends Controller {
       this.postalCodeTarget.value = components.postalCode || ""
     }
     if (this.hasCountryTarget) {
-      this.countryTarget.value = components.country || ""
+      this.setWatchedValue(this.countryTarget, components.country || "")
     }
 
     // Update collapsed header display
-    this.updateCollapsedDisplay(place.formatted_address)
+    this.updateCollapsedDisplay(place.formattedAddress)
+  }
+
+  // Others watch the country and coordinates (e.g. the datetime picker's holiday
+  // calendar and transit time), so announce programmatic changes like a user edit would
+  setWatchedValue(target, value) {
+    if (target.value === String(value)) return
+
+    target.value = value
+    target.dispatchEvent(new Event("change", { bubbles: true }))
   }
 
   updateCollapsedDisplay(address) {
     // Find the display text element in the collapsed header
-    const displayText = this.toggleButtonTarget?.querySelector('.display-text')
+    if (!this.hasToggleButtonTarget) return
+
+    const displayText = this.toggleButtonTarget.querySelector('.display-text')
     if (displayText && address) {
       displayText.textContent = address
     }
   }
 
+  // Edit forms already carry coordinates: show the pin so it can be adjusted
+  showStoredLocation() {
+    if (!this.hasLatitudeTarget || !this.hasLongitudeTarget) return
+
+    const lat = parseFloat(this.latitudeTarget.value)
+    const lng = parseFloat(this.longitudeTarget.value)
+    if (Number.isFinite(lat) && Number.isFinite(lng)) {
+      this.updateMap({ lat, lng })
+    }
+  }
+
   updateMap(location) {
     if (!this.hasMapContainerTarget) return
 
-    // Clear existing map
-    this.mapContainerTarget.innerHTML = ""
-
-    // Create new map
-    const map = new google.maps.Map(this.mapContainerTarget, {
-      center: location,
-      zoom: 15,
-      mapTypeControl: false,
-      streetViewControl: false,
-      fullscreenControl: true,
-      zoomControl: true
-    })
+    // Reuse the existing map, only move the marker
+    if (this.map) {
+      this.provider.moveMarker(this.marker, location)
+      this.provider.setView(this.map, location, 15)
+      return
+    }
 
-    // Add marker
-    new google.maps.Marker({
+    this.map = this.provider.createMap(this.mapContainerTarget, { center: location, zoom: 15 })
+    this.marker = this.provider.addMarker(this.map, {
       position: location,
-      map: map,
-      title: "Selected Location"
+      title: this.t("drag_marker"),
+      draggable: true
+    })
+    this.provider.onMarkerDragEnd(this.marker, position => this.pinMoved(position))
+  }
+
+  // The dropped pin is the exact gate or dock, so its coordinates are kept
+  // either way. The reverse-geocoded address replaces the typed one until the
+  // user decides; "keep typed address" restores what was there before the drag.
+  async pinMoved(position) {
+    this.setCoordinates(position)
+
+    let place
+    try {
+      place = await this.provider.reverseGeocode(position)
+    } catch {
+      // No address for the pin: the typed address stays, the coordinates are set
+    }
+    if (!place) return
+
+    this.typedAddress ||= this.addressSnapshot()
+    this.populateAddressFields(place)
+
+    if (this.hasPinConfirmationTarget) {
+      if (this.hasPinAddressTarget) this.pinAddressTarget.textContent = place.formattedAddress
+      this.pinConfirmationTarget.classList.remove("hidden")
+    }
+  }
+
+  confirmPinAddress() {
+    this.hidePinConfirmation()
+  }
+
+  keepTypedAddress() {
+    if (this.typedAddress) {
+      Object.entries(this.typedAddress).forEach(([name, value]) => {
+        if (name === "country") this.setWatchedValue(this.countryTarget, value)
+        else this[`${name}Target`].value = value
+      })
+      this.updateCollapsedDisplay(this.typedAddress.input)
+    }
+
+    this.hidePinConfirmation()
+  }
+
+  hidePinConfirmation() {
+    this.typedAddress = null
+    if (this.hasPinConfirmationTarget) {
+      this.pinConfirmationTarget.classList.add("hidden")
+    }
+  }
+
+  addressSnapshot() {
+    const snapshot = {}
+    ADDRESS_TARGETS.forEach(name => {
+      if (this[`has${name.charAt(0).toUpperCase() + name.slice(1)}Target`]) {
+        snapshot[name] = this[`${name}Target`].value
+      }
     })
+    return snapshot
+  }
+
+  removeMap() {
+    if (this.map) {
+      this.provider.removeMap(this.map)
+      this.map = null
+      this.marker = null
+    }
   }
 
   toggleDetails() {
@@ -176,6 +483,10 @@ export default class extends Controller {
       if (chevron) {
         chevron.style.transform = 'rotate(180deg)'
       }
+      // Maps rendered while hidden need to recalculate their size
+      if (this.map) {
+        this.provider.refresh(this.map)
+      }
     } else {
       this.detailsSectionTarget.classList.add("hidden")
       if (chevron) {
@@ -187,8 +498,10 @@ export default class extends Controller {
   clearFields() {
     this.inputTarget.value = ""
 
+    this.setCoordinates(null)
+
     const targets = [
-      "latitude", "longitude", "country", "companyName",
+      "companyName",
       "street", "streetNumber", "city", "state", "postalCode"
     ]
 
@@ -199,16 +512,18 @@ export default class extends Controller {
       }
     })
 
+    if (this.hasCountryTarget) {
+      this.setWatchedValue(this.countryTarget, "")
+    }
+
     if (this.hasMapContainerTarget) {
-      this.mapContainerTarget.innerHTML = ""
+      this.removeMap()
     }
+    this.hidePinConfirmation()
+    this.showSaveAddress(false)
 
     if (this.detailsVisible) {
       this.toggleDetails()
     }
   }
-
-  get apiKey() {
-    return document.querySelector('meta[name="google-maps-api-key"]')?.content
-  }
 }
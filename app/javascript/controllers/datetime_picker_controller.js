@@ -1,19 +1,69 @@
-import { Controller } from "@hotwired/stimulus"
-
-export default class extends Controller {
+import TranslatedController from "helpers/translated_controller"
+import { formWaypoints, roadDistanceKm } from "maps/route_distance"
+
+// Transit time estimate: road distance of the route at an average truck speed,
+// plus breaks and daily rests for a single driver under the EU driving time
+// rules (Regulation (EC) No 561/2006)
+const AVERAGE_SPEED_KMH = 65
+const DRIVING_BEFORE_BREAK_HOURS = 4.5
+const BREAK_HOURS = 0.75
+const DAILY_DRIVING_HOURS = 9
+const DAILY_REST_HOURS = 11
+const HOUR_MS = 60 * 60 * 1000
+// A picked place writes its coordinates and country one after the other
+const ROUTE_DELAY_MS = 300
+
+// Pickup and delivery time windows
+// Connects to data-controller="datetime-picker"
+//
+// Each side is a date plus a window on the time grid: the first click sets
+// the start slot, the second the end slot (a click on or before the start
+// starts a new window). Writes the *_date_from/_to and *_time_from/_to fields.
+//
+// Bookable range: pickups from `leadTimeHours` after now until `horizonDays`
+// ahead, in `slotMinutes` steps between `dayStartHour` and `dayEndHour` (all
+// times on request). Delivery slots open once the goods can arrive: pickup
+// window start plus the transit time for the road route from pickup along the
+// stops to delivery (maps/route_distance), measured again whenever an address
+// or a stop changes (stops:changed). Until then the stored `distanceKm` of
+// the request stands in for it.
+//
+// Time zones: times are wall-clock times at each address, in the zone of its
+// country (`timeZones`, see Calendar::TimeZones; the browser's zone while the
+// country is unknown). Ordering checks compare instants, the collapsed display
+// names the zone, and the *_date_from/_to fields carry ISO 8601 with offset.
+//
+// Business days: `holidays` is the national holiday dataset per country
+// (see Calendar::Holidays), the country of each side is read from the
+// address-autocomplete elements given by id (`pickupAddress`, `deliveryAddress`).
+// `weekendPolicy` and `holidayPolicy` decide what happens on such days:
+// "allow", "warn" (surcharge hint) or "block".
+//
+// Month and weekday names and dates follow the page language (<html lang>),
+// all other strings come from the `translations` value (datetime_picker.* in
+// config/locales). Weeks start on Monday unless `weekStart` says otherwise.
+//
+// Keyboard: the calendar is an ARIA grid with one tab stop (arrow keys move by
+// day/week, Home/End to the week's start/end, PageUp/PageDown by month, with
+// Shift by year); the time slots move with the arrow keys (Up/Down = one row).
+// Enter or Space selects, Escape closes the panel. Re-renders keep the focus.
+export default class extends TranslatedController {
   static targets = [
     "pickupCollapsed", "pickupExpanded", "pickupCalendar", "pickupTimeGrid",
     "deliveryCollapsed", "deliveryExpanded", "deliveryCalendar", "deliveryTimeGrid",
-    "pickupDateInput", "pickupTimeInput",
-    "deliveryDateInput", "deliveryTimeInput",
-    "validationError", "successSummary"
+    "pickupDateInput", "pickupDateToInput", "pickupTimeInput", "pickupTimeToInput",
+    "deliveryDateInput", "deliveryDateToInput", "deliveryTimeInput", "deliveryTimeToInput",
+    "pickupTimeZoneInput", "deliveryTimeZoneInput",
+    "validationError", "warning", "successSummary"
   ]
 
   static values = {
     pickupDate: String,
     pickupTime: String,
+    pickupTimeTo: String,
     deliveryDate: String,
     deliveryTime: String,
+    deliveryTimeTo: String,
     pickupExpanded: { type: Boolean, default: false },
     deliveryExpanded: { type: Boolean, default: false },
     pickupShowAllTimes: { type: Boolean, default: false },
@@ -21,15 +71,28 @@ export default class extends Controller {
     pickupMonth: Number,
     pickupYear: Number,
     deliveryMonth: Number,
-    deliveryYear: Number
+    deliveryYear: Number,
+    holidays: Object,
+    timeZones: Object,
+    pickupAddress: String,
+    deliveryAddress: String,
+    distanceKm: Number,
+    horizonDays: { type: Number, default: 30 },
+    slotMinutes: { type: Number, default: 15 },
+    dayStartHour: { type: Number, default: 6 },
+    dayEndHour: { type: Number, default: 19 },
+    leadTimeHours: { type: Number, default: 0 },
+    weekendPolicy: { type: String, default: 'warn' },
+    holidayPolicy: { type: String, default: 'warn' },
+    weekStart: { type: Number, default: 1 }
   }
 
   connect() {
-    // Initialize with current values from form
-    this.pickupDateValue = this.pickupDateInputTarget.value || ''
-    this.pickupTimeValue = this.pickupTimeInputTarget.value || ''
-    this.deliveryDateValue = this.deliveryDateInputTarget.value || ''
-    this.deliveryTimeValue = this.deliveryTimeInputTarget.value || ''
+    this.readInputs()
+
+    // Day and time slot holding the tab stop, per side
+    this.focusDates = {}
+    this.focusTimes = {}
 
     // Initialize calendar months
     const today = new Date()
@@ -38,16 +101,82 @@ export default class extends Controller {
     this.deliveryMonthValue = today.getMonth()
     this.deliveryYearValue = today.getFullYear()
 
+    // Countries and coordinates of the addresses decide holidays and transit time
+    this.onAddressChange = () => this.addressChanged()
+    this.addressElements().forEach(element => element.addEventListener('change', this.onAddressChange))
+    this.roadKm = this.distanceKmValue
+    this.routeRequest = 0
+    this.updateRoute()
+
     // Disable delivery section if pickup not selected
     this.updateDeliveryState()
 
     this.updateAllDisplays()
+    this.updateDayWarnings()
   }
 
-  updateDeliveryState() {
-    const hasPickup = this.pickupDateValue && this.pickupTimeValue
+  disconnect() {
+    clearTimeout(this.routeTimer)
+    this.addressElements().forEach(element => element.removeEventListener('change', this.onAddressChange))
+  }
 
-    if (!hasPickup) {
+  // Initialize with current values from form (window bounds render as local ISO 8601)
+  readInputs() {
+    this.pickupDateValue = (this.pickupDateInputTarget.value || '').slice(0, 10)
+    this.pickupTimeValue = this.pickupTimeInputTarget.value || ''
+    this.pickupTimeToValue = this.pickupTimeToInputTarget.value || ''
+    this.deliveryDateValue = (this.deliveryDateInputTarget.value || '').slice(0, 10)
+    this.deliveryTimeValue = this.deliveryTimeInputTarget.value || ''
+    this.deliveryTimeToValue = this.deliveryTimeToInputTarget.value || ''
+  }
+
+  // A restored form draft (form-draft) wrote the inputs and addresses
+  restoreDraft() {
+    this.readInputs()
+    this.updateDeliveryState()
+    this.validateAndUpdate()
+    this.updateRoute()
+  }
+
+  addressChanged() {
+    // Another country can mean another zone for the same wall-clock times
+    this.writeInputs('pickup')
+    this.writeInputs('delivery')
+
+    this.renderOpenPanels()
+    this.validateAndUpdate()
+    this.updateRoute()
+  }
+
+  updateRoute() {
+    clearTimeout(this.routeTimer)
+    this.routeTimer = setTimeout(() => this.measureRoute(), ROUTE_DELAY_MS)
+  }
+
+  // Road km from pickup along the stops to delivery (0 while an end has no coordinates)
+  async measureRoute() {
+    const request = ++this.routeRequest
+    const points = formWaypoints(this.addressElement('pickup'), this.addressElement('delivery'))
+    const roadKm = points ? await roadDistanceKm(points) : 0
+
+    // Ignore routes that arrive after the addresses changed again
+    if (request !== this.routeRequest || roadKm === this.roadKm) return
+
+    this.roadKm = roadKm
+    this.renderOpenPanels()
+    this.validateAndUpdate()
+  }
+
+  renderOpenPanels() {
+    if (this.pickupExpandedValue) this.renderPickupCalendar()
+    if (this.deliveryExpandedValue) {
+      this.renderDeliveryCalendar()
+      if (this.deliveryDateValue) this.renderDeliveryTimeGrid()
+    }
+  }
+
+  updateDeliveryState() {
+    if (!this.hasWindow('pickup')) {
       // Disable delivery section
       this.deliveryCollapsedTarget.classList.add('opacity-50', 'cursor-not-allowed')
       this.deliveryCollapsedTarget.disabled = true
@@ -62,7 +191,7 @@ export default class extends Controller {
     const field = event.currentTarget.dataset.field
 
     // Don't allow delivery to expand if pickup not selected
-    if (field === 'delivery' && (!this.pickupDateValue || !this.pickupTimeValue)) {
+    if (field === 'delivery' && !this.hasWindow('pickup')) {
       return
     }
 
@@ -97,6 +226,7 @@ export default class extends Controller {
 
   updateExpandedStates() {
     // Pickup
+    this.pickupCollapsedTarget.setAttribute('aria-expanded', this.pickupExpandedValue)
     if (this.pickupExpandedValue) {
       this.pickupExpandedTarget.classList.remove('hidden')
       this.pickupCollapsedTarget.classList.add('bg-green-50')
@@ -107,6 +237,7 @@ export default class extends Controller {
 
     // Delivery
     if (this.hasDeliveryExpandedTarget) {
+      this.deliveryCollapsedTarget.setAttribute('aria-expanded', this.deliveryExpandedValue)
       if (this.deliveryExpandedValue) {
         this.deliveryExpandedTarget.classList.remove('hidden')
         this.deliveryCollapsedTarget.classList.add('bg-blue-50')
@@ -126,13 +257,12 @@ export default class extends Controller {
   }
 
   renderCalendar(field, month, year) {
-    const monthNames = ['January', 'February', 'March', 'April', 'May', 'June',
-                        'July', 'August', 'September', 'October', 'November', 'December']
-
     const firstDay = new Date(year, month, 1)
     const lastDay = new Date(year, month + 1, 0)
     const daysInMonth = lastDay.getDate()
-    const startingDayOfWeek = firstDay.getDay()
+    const leadingBlanks = (firstDay.getDay() - this.weekStartValue + 7) % 7
+    const monthTitle = firstDay.toLocaleDateString(this.locale, { month: 'long', year: 'numeric' })
+    const focusDate = this.calendarFocusDate(field, year, month)
 
     const isPickup = field === 'pickup'
 
@@ -142,35 +272,40 @@ export default class extends Controller {
           <button type="button"
                   data-action="datetime-picker#previousMonth"
                   data-field="${field}"
+                  data-focus-key="previous-month"
+                  aria-label="${this.t('previous_month')}"
                   class="p-2 hover:bg-gray-100 rounded-lg transition-colors">
-            <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
               <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 19l-7-7 7-7" />
             </svg>
           </button>
-          <div class="font-bold text-gray-900">${monthNames[month]} ${year}</div>
+          <div id="${field}-calendar-title" class="font-bold text-gray-900" aria-live="polite">${monthTitle}</div>
           <button type="button"
                   data-action="datetime-picker#nextMonth"
                   data-field="${field}"
+                  data-focus-key="next-month"
+                  aria-label="${this.t('next_month')}"
                   class="p-2 hover:bg-gray-100 rounded-lg transition-colors">
-            <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
               <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5l7 7-7 7" />
             </svg>
           </button>
         </div>
 
-        <div class="grid grid-cols-7 gap-1 mb-2">
-          ${['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa'].map(day =>
-            `<div class="text-center text-xs font-semibold text-gray-500 py-2">${day}</div>`
-          ).join('')}
-        </div>
-
-        <div class="grid grid-cols-7 gap-1">
+        <div role="grid"
+             aria-labelledby="${field}-calendar-title"
+             data-action="keydown->datetime-picker#calendarKeydown"
+             data-field="${field}"
+             class="space-y-1">
+          <div role="row" class="grid grid-cols-7 gap-1 mb-2">
+            ${this.weekdayNames().map(({ short, long }) =>
+              `<div role="columnheader" aria-label="${long}" class="text-center text-xs font-semibold text-gray-500 py-2">${short}</div>`
+            ).join('')}
+          </div>
     `
 
     // Empty cells before first day
-    for (let i = 0; i < startingDayOfWeek; i++) {
-      html += '<div class="aspect-square"></div>'
-    }
+    const cells = Array.from({ length: leadingBlanks }, () => '<div role="gridcell" class="aspect-square"></div>')
 
     // Actual days
     for (let day = 1; day <= daysInMonth; day++) {
@@ -179,8 +314,11 @@ export default class extends Controller {
       const isSelected = this[`${field}DateValue`] === dateStr
       const isDisabled = this.isDateDisabled(dateObj, field)
       const isToday = this.isToday(dateObj)
+      const holiday = this.holidayName(dateStr, field)
+      const restriction = this.dayRestriction(dateStr, field)
+      const note = restriction?.message || holiday
 
-      let buttonClass = 'aspect-square rounded-lg font-medium text-sm transition-all '
+      let buttonClass = 'relative w-full aspect-square rounded-lg font-medium text-sm transition-all focus:outline-none focus-visible:ring-2 focus-visible:ring-offset-1 focus-visible:ring-gray-900 '
       if (isSelected) {
         buttonClass += isPickup
           ? 'bg-green-500 text-white ring-2 ring-green-300 shadow-md'
@@ -189,25 +327,49 @@ export default class extends Controller {
         buttonClass += 'border-2 border-gray-900 text-gray-900 hover:bg-gray-100'
       } else if (isDisabled) {
         buttonClass += 'text-gray-300 cursor-not-allowed'
+      } else if (restriction) {
+        buttonClass += 'bg-amber-50 text-amber-800 hover:bg-amber-100'
       } else {
         buttonClass += 'text-gray-700 hover:bg-gray-100'
       }
 
-      html += `
-        <button type="button"
-                data-action="datetime-picker#selectDate"
-                data-field="${field}"
-                data-date="${dateStr}"
-                ${isDisabled ? 'disabled' : ''}
-                class="${buttonClass}">
-          ${day}
-        </button>
-      `
+      // Unavailable days stay focusable (aria-disabled) so arrow keys can move across them
+      cells.push(`
+        <div role="gridcell" aria-selected="${isSelected}">
+          <button type="button"
+                  data-action="datetime-picker#selectDate"
+                  data-field="${field}"
+                  data-date="${dateStr}"
+                  data-focus-key="date-${dateStr}"
+                  tabindex="${dateStr === focusDate ? 0 : -1}"
+                  aria-label="${this.formatLongDate(dateStr)}${note ? `, ${note}` : ''}"
+                  ${isToday ? 'aria-current="date"' : ''}
+                  ${isDisabled ? 'aria-disabled="true"' : ''}
+                  ${note ? `title="${note}"` : ''}
+                  class="${buttonClass}">
+            ${day}
+            ${holiday ? '<span class="absolute bottom-1 left-1/2 -translate-x-1/2 w-1 h-1 rounded-full bg-red-500" aria-hidden="true"></span>' : ''}
+          </button>
+        </div>
+      `)
+    }
+
+    // Complete the last week
+    while (cells.length % 7 !== 0) {
+      cells.push('<div role="gridcell" class="aspect-square"></div>')
     }
 
-    html += '</div></div>'
+    for (let week = 0; week < cells.length; week += 7) {
+      html += `<div role="row" class="grid grid-cols-7 gap-1">${cells.slice(week, week + 7).join('')}</div>`
+    }
 
-    this[`${field}CalendarTarget`].innerHTML = html
+    html += `
+        </div>
+        ${this.calendarLegend(field)}
+      </div>
+    `
+
+    this.replaceContent(this[`${field}CalendarTarget`], html)
   }
 
   renderPickupTimeGrid() {
@@ -219,29 +381,48 @@ export default class extends Controller {
   }
 
   renderTimeGrid(field, showAll = false) {
-    const times = this.generateTimeSlots(showAll ? 0 : 6, showAll ? 24 : 19)
+    const times = showAll
+      ? this.generateTimeSlots(0, 24)
+      : this.generateTimeSlots(this.dayStartHourValue, this.dayEndHourValue)
     const isPickup = field === 'pickup'
     const bgClass = isPickup ? 'bg-green-50/30' : 'bg-blue-50/30'
     const textColorClass = isPickup ? 'text-green-600 hover:text-green-700' : 'text-blue-600 hover:text-blue-700'
+    const from = this[`${field}TimeValue`]
+    const to = this[`${field}TimeToValue`]
+    const hint = from && !to ? this.t('hint_end', { time: from }) : this.t('hint_start')
+    const focusTime = times.includes(this.focusTimes[field]) ? this.focusTimes[field]
+      : times.includes(from) ? from
+      : times.find(time => !this.isTimeDisabled(time, field)) || times[0]
 
     let html = `
       <div class="p-4 border-t-2 border-gray-200 ${bgClass} space-y-4">
         <div>
-          <label class="block text-sm font-semibold text-gray-700 mb-3">
-            Select Time (24h format)
-          </label>
-          <div class="grid grid-cols-4 sm:grid-cols-6 md:grid-cols-8 gap-2">
+          <div id="${field}-time-label" class="block text-sm font-semibold text-gray-700 mb-1">
+            ${this.t('time_window')}
+          </div>
+          <p id="${field}-time-hint" class="text-xs text-gray-500 mb-3" aria-live="polite">${hint}</p>
+          <div role="group"
+               aria-labelledby="${field}-time-label"
+               aria-describedby="${field}-time-hint"
+               data-action="keydown->datetime-picker#timeKeydown"
+               data-field="${field}"
+               class="grid grid-cols-4 sm:grid-cols-6 md:grid-cols-8 gap-2">
     `
 
     times.forEach(time => {
-      const isSelected = this[`${field}TimeValue`] === time
+      const isSelected = time === from || time === to
+      const isInRange = from && to && time > from && time < to
       const isDisabled = this.isTimeDisabled(time, field)
 
-      let buttonClass = 'py-2 px-1 rounded-lg font-medium text-sm transition-all '
+      let buttonClass = 'py-2 px-1 rounded-lg font-medium text-sm transition-all focus:outline-none focus-visible:ring-2 focus-visible:ring-offset-1 focus-visible:ring-gray-900 '
       if (isSelected) {
         buttonClass += isPickup
           ? 'bg-green-500 text-white ring-2 ring-green-300 shadow-md'
           : 'bg-blue-500 text-white ring-2 ring-blue-300 shadow-md'
+      } else if (isInRange) {
+        buttonClass += isPickup
+          ? 'bg-green-100 border-2 border-green-200 text-green-800'
+          : 'bg-blue-100 border-2 border-blue-200 text-blue-800'
       } else if (isDisabled) {
         buttonClass += 'bg-gray-100 text-gray-400 cursor-not-allowed'
       } else {
@@ -253,7 +434,10 @@ export default class extends Controller {
                 data-action="datetime-picker#selectTime"
                 data-field="${field}"
                 data-time="${time}"
-                ${isDisabled ? 'disabled' : ''}
+                data-focus-key="time-${time}"
+                tabindex="${time === focusTime ? 0 : -1}"
+                aria-pressed="${!!(isSelected || isInRange)}"
+                ${isDisabled ? 'aria-disabled="true"' : ''}
                 class="${buttonClass}">
           ${time}
         </button>
@@ -267,8 +451,8 @@ export default class extends Controller {
                     data-action="datetime-picker#showAllTimes"
                     data-field="${field}"
                     class="mt-3 text-sm ${textColorClass} font-medium flex items-center gap-1">
-              Show all times (00:00 - 23:45)
-              <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              ${this.t('show_all_times', { last: this.generateTimeSlots(0, 24).at(-1) })}
+              <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
                 <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 9l-7 7-7-7" />
               </svg>
             </button>
@@ -277,15 +461,17 @@ export default class extends Controller {
       </div>
     `
 
-    this[`${field}TimeGridTarget`].innerHTML = html
+    this.replaceContent(this[`${field}TimeGridTarget`], html)
   }
 
   selectDate(event) {
     const field = event.currentTarget.dataset.field
     const date = event.currentTarget.dataset.date
+    if (event.currentTarget.getAttribute('aria-disabled') === 'true') return
 
+    this.focusDates[field] = date
     this[`${field}DateValue`] = date
-    this[`${field}DateInputTarget`].value = date
+    this.writeInputs(field)
 
     // Re-render calendar to show selection
     this[`render${field.charAt(0).toUpperCase() + field.slice(1)}Calendar`]()
@@ -299,21 +485,38 @@ export default class extends Controller {
   selectTime(event) {
     const field = event.currentTarget.dataset.field
     const time = event.currentTarget.dataset.time
+    if (event.currentTarget.getAttribute('aria-disabled') === 'true') return
 
-    this[`${field}TimeValue`] = time
-    this[`${field}TimeInputTarget`].value = time
+    this.focusTimes[field] = time
+    const from = this[`${field}TimeValue`]
+    const to = this[`${field}TimeToValue`]
 
-    // Auto-collapse after brief delay
-    setTimeout(() => {
-      this[`${field}ExpandedValue`] = false
+    if (!from || to || time <= from) {
+      // Start a new window
+      this[`${field}TimeValue`] = time
+      this[`${field}TimeToValue`] = ''
+    } else {
+      this[`${field}TimeToValue`] = time
+    }
 
-      // Enable delivery section if pickup complete
-      if (field === 'pickup' && this.pickupDateValue && this.pickupTimeValue) {
-        this.updateDeliveryState()
-      }
+    this.writeInputs(field)
+
+    this[`render${field.charAt(0).toUpperCase() + field.slice(1)}TimeGrid`]()
+    this.updateDeliveryState()
 
-      this.updateAllDisplays()
-    }, 300)
+    // The pickup start moves the earliest possible delivery
+    if (field === 'pickup' && this.deliveryExpandedValue) {
+      this.renderDeliveryCalendar()
+      if (this.deliveryDateValue) this.renderDeliveryTimeGrid()
+    }
+
+    // Auto-collapse after brief delay once the window is complete
+    if (this.hasWindow(field)) {
+      setTimeout(() => {
+        this.collapse(field)
+        this.updateAllDisplays()
+      }, 300)
+    }
 
     this.validateAndUpdate()
   }
@@ -352,18 +555,269 @@ export default class extends Controller {
     const field = event.currentTarget.dataset.field
     this[`${field}ShowAllTimesValue`] = true
     this[`render${field.charAt(0).toUpperCase() + field.slice(1)}TimeGrid`]()
+
+    // The button is gone after the re-render
+    this[`${field}TimeGridTarget`].querySelector('[data-time][tabindex="0"]')?.focus()
+  }
+
+  // Closes the panel; focus returns to the header when it was inside
+  collapse(field) {
+    const hadFocus = this[`${field}ExpandedTarget`].contains(document.activeElement)
+    this[`${field}ExpandedValue`] = false
+    if (hadFocus) this[`${field}CollapsedTarget`].focus()
+  }
+
+  // Keyboard navigation
+
+  calendarKeydown(event) {
+    const field = event.currentTarget.dataset.field
+    const date = event.target.dataset.date
+    if (!date) return
+
+    const next = new Date(`${date}T00:00`)
+    const dayOfWeek = (next.getDay() - this.weekStartValue + 7) % 7
+
+    switch (event.key) {
+      case 'ArrowLeft': next.setDate(next.getDate() - 1); break
+      case 'ArrowRight': next.setDate(next.getDate() + 1); break
+      case 'ArrowUp': next.setDate(next.getDate() - 7); break
+      case 'ArrowDown': next.setDate(next.getDate() + 7); break
+      case 'Home': next.setDate(next.getDate() - dayOfWeek); break
+      case 'End': next.setDate(next.getDate() + 6 - dayOfWeek); break
+      case 'PageUp': this.shiftMonths(next, event.shiftKey ? -12 : -1); break
+      case 'PageDown': this.shiftMonths(next, event.shiftKey ? 12 : 1); break
+      case 'Escape':
+        event.preventDefault()
+        this.collapse(field)
+        return
+      default:
+        return
+    }
+
+    event.preventDefault()
+    this.focusDate(field, this.dateKey(next))
+  }
+
+  timeKeydown(event) {
+    const field = event.currentTarget.dataset.field
+    const buttons = Array.from(event.currentTarget.querySelectorAll('[data-time]'))
+    const index = buttons.indexOf(event.target)
+    if (index === -1) return
+
+    // 4 to 8 columns depending on the screen width: a row ends where the
+    // buttons wrap below the first one
+    const secondRow = buttons.findIndex(button => button.offsetTop !== buttons[0].offsetTop)
+    const columns = secondRow > 0 ? secondRow : buttons.length
+
+    let next
+    switch (event.key) {
+      case 'ArrowLeft': next = index - 1; break
+      case 'ArrowRight': next = index + 1; break
+      case 'ArrowUp': next = index - columns; break
+      case 'ArrowDown': next = index + columns; break
+      case 'Home': next = 0; break
+      case 'End': next = buttons.length - 1; break
+      case 'Escape':
+        event.preventDefault()
+        this.collapse(field)
+        return
+      default:
+        return
+    }
+
+    event.preventDefault()
+    const target = buttons[Math.max(0, Math.min(buttons.length - 1, next))]
+    buttons[index].tabIndex = -1
+    target.tabIndex = 0
+    target.focus()
+    this.focusTimes[field] = target.dataset.time
+  }
+
+  focusDate(field, dateStr) {
+    const [year, month] = dateStr.split('-').map(Number)
+    this.focusDates[field] = dateStr
+    this[`${field}YearValue`] = year
+    this[`${field}MonthValue`] = month - 1
+
+    this[`render${field.charAt(0).toUpperCase() + field.slice(1)}Calendar`]()
+    this[`${field}CalendarTarget`].querySelector(`[data-date="${dateStr}"]`)?.focus()
+  }
+
+  // Day holding the tab stop: last focused, selected, today or the 1st of the shown month
+  calendarFocusDate(field, year, month) {
+    const prefix = `${year}-${String(month + 1).padStart(2, '0')}-`
+    const candidates = [this.focusDates[field], this[`${field}DateValue`], this.dateKey(new Date())]
+
+    return candidates.find(date => date?.startsWith(prefix)) || `${prefix}01`
+  }
+
+  shiftMonths(date, months) {
+    const day = date.getDate()
+    date.setDate(1)
+    date.setMonth(date.getMonth() + months)
+    date.setDate(Math.min(day, new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate()))
+  }
+
+  // innerHTML replaces the focused element; move the focus to its counterpart
+  replaceContent(container, html) {
+    const focusKey = container.contains(document.activeElement) && document.activeElement.dataset.focusKey
+
+    container.innerHTML = html
+
+    if (focusKey) container.querySelector(`[data-focus-key="${focusKey}"]`)?.focus()
   }
 
   // Helper methods
 
+  // Weekday names in calendar column order; 2023-01-01 was a Sunday
+  weekdayNames() {
+    return Array.from({ length: 7 }, (_, index) => {
+      const day = new Date(2023, 0, 1 + (this.weekStartValue + index) % 7)
+      return {
+        short: day.toLocaleDateString(this.locale, { weekday: 'short' }),
+        long: day.toLocaleDateString(this.locale, { weekday: 'long' })
+      }
+    })
+  }
+
+  calendarLegend(field) {
+    const earliest = field === 'delivery' && this.earliestDelivery()
+    const transitNote = earliest ? `
+      <p class="mt-3 text-xs text-gray-600">
+        ${this.t('earliest_delivery', { date: this.formatDateTime(earliest, 'delivery'), distance: Math.round(this.roadKm) })}
+      </p>
+    ` : ''
+
+    const country = this.country(field)
+    if (!country) {
+      return `${transitNote}<p class="mt-3 text-xs text-gray-500">${this.t('holidays_after_address')}</p>`
+    }
+
+    const hasSurchargeDays = this.weekendPolicyValue === 'warn' || this.holidayPolicyValue === 'warn'
+
+    return `
+      ${transitNote}
+      <div class="mt-3 flex flex-wrap gap-x-4 gap-y-1 text-xs text-gray-500">
+        <span class="flex items-center gap-1.5">
+          <span class="w-1.5 h-1.5 rounded-full bg-red-500"></span>
+          ${this.t('public_holiday', { country })}
+        </span>
+        ${hasSurchargeDays ? `
+          <span class="flex items-center gap-1.5">
+            <span class="w-3 h-3 rounded bg-amber-50 border border-amber-200"></span>
+            ${this.t('surcharge_may_apply')}
+          </span>
+        ` : ''}
+      </div>
+    `
+  }
+
+  addressElements() {
+    return ['pickup', 'delivery'].map(field => this.addressElement(field)).filter(Boolean)
+  }
+
+  addressElement(field) {
+    const id = this[`${field}AddressValue`]
+    return id && document.getElementById(id)
+  }
+
+  addressField(field, name) {
+    return this.addressElement(field)?.querySelector(`[data-address-autocomplete-target="${name}"]`)?.value || ''
+  }
+
+  country(field) {
+    return this.addressField(field, 'country').toUpperCase()
+  }
+
+  // Windows never span midnight, both ends are on the selected day
+  writeInputs(field) {
+    const date = this[`${field}DateValue`]
+    const from = this[`${field}TimeValue`]
+    const to = this[`${field}TimeToValue`]
+    const dateInput = this[`${field}DateInputTarget`]
+    const previous = dateInput.value
+
+    this[`${field}TimeInputTarget`].value = from
+    this[`${field}TimeToInputTarget`].value = to
+    dateInput.value = date ? this.isoTime(field, date, from || '00:00') : ''
+    this[`${field}DateToInputTarget`].value = date ? this.isoTime(field, date, to || from || '00:00') : ''
+    if (this.hasTimeZoneInput(field)) this[`${field}TimeZoneInputTarget`].value = this.timeZone(field)
+
+    // The quote preview prices weekend pickups and express deliveries, so announce
+    // the new window like a user edit
+    if (dateInput.value !== previous) dateInput.dispatchEvent(new Event('change', { bubbles: true }))
+  }
+
+  hasTimeZoneInput(field) {
+    return this[`has${field.charAt(0).toUpperCase() + field.slice(1)}TimeZoneInputTarget`]
+  }
+
+  // IANA zone of the address: the island zone west of its longitude, else the country's
+  timeZone(field) {
+    const country = this.country(field)
+    const longitude = parseFloat(this.addressField(field, 'longitude'))
+    const island = (this.timeZonesValue.islands?.[country] || []).find(rule => longitude < rule.west_of)
+
+    return island?.zone || this.timeZonesValue.countries?.[country] || Intl.DateTimeFormat().resolvedOptions().timeZone
+  }
+
+  // The instant of a wall-clock time at the address
+  instant(field, date, time) {
+    return zonedTime(date, time, this.timeZone(field))
+  }
+
+  // "2025-10-21T08:00:00+02:00"
+  isoTime(field, date, time) {
+    const zone = this.timeZone(field)
+    return `${date}T${time}:00${isoOffset(offsetMinutes(zonedTime(date, time, zone), zone))}`
+  }
+
+  earliestPickup() {
+    return new Date(Date.now() + this.leadTimeHoursValue * HOUR_MS)
+  }
+
+  // Pickup window start plus the estimated transit time; null without pickup time or distance
+  earliestDelivery() {
+    if (!this.pickupDateValue || !this.pickupTimeValue || !this.roadKm) return null
+
+    const pickupStart = this.instant('pickup', this.pickupDateValue, this.pickupTimeValue)
+    return new Date(pickupStart.getTime() + transitHours(this.roadKm) * HOUR_MS)
+  }
+
+  holidayName(dateStr, field) {
+    return this.holidaysValue[this.country(field)]?.[dateStr]
+  }
+
+  // Weekend or holiday rule for a day, or null on a normal business day
+  dayRestriction(dateStr, field) {
+    const holiday = this.holidayName(dateStr, field)
+    if (holiday && this.holidayPolicyValue !== 'allow') {
+      return { policy: this.holidayPolicyValue, message: this.t('holiday_in_country', { holiday, country: this.country(field) }) }
+    }
+
+    const day = new Date(`${dateStr}T00:00`)
+    if ((day.getDay() === 0 || day.getDay() === 6) && this.weekendPolicyValue !== 'allow') {
+      const weekday = day.toLocaleDateString(this.locale, { weekday: 'long' })
+      return { policy: this.weekendPolicyValue, message: this.t('not_business_day', { weekday }) }
+    }
+
+    return null
+  }
+
+  dateKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+  }
+
+  hasWindow(field) {
+    return !!(this[`${field}DateValue`] && this[`${field}TimeValue`] && this[`${field}TimeToValue`])
+  }
+
   generateTimeSlots(startHour, endHour) {
     const slots = []
-    for (let hour = startHour; hour < endHour; hour++) {
-      for (let minute = 0; minute < 60; minute += 15) {
-        const hourStr = hour.toString().padStart(2, '0')
-        const minuteStr = minute.toString().padStart(2, '0')
-        slots.push(`${hourStr}:${minuteStr}`)
-      }
+    for (let minutes = startHour * 60; minutes < endHour * 60; minutes += this.slotMinutesValue) {
+      const hourStr = Math.floor(minutes / 60).toString().padStart(2, '0')
+      const minuteStr = (minutes % 60).toString().padStart(2, '0')
+      slots.push(`${hourStr}:${minuteStr}`)
     }
     return slots
   }
@@ -383,15 +837,29 @@ export default class extends Controller {
     const checkDate = new Date(date)
     checkDate.setHours(0, 0, 0, 0)
 
+    const nextDay = new Date(checkDate)
+    nextDay.setDate(nextDay.getDate() + 1)
+
+    // Deliveries may end beyond the horizon by the transit time
+    const earliestDelivery = field === 'delivery' && this.earliestDelivery()
+    const transitDays = earliestDelivery ? Math.ceil(transitHours(this.roadKm) / 24) : 0
     const maxFuture = new Date(today)
-    maxFuture.setDate(maxFuture.getDate() + 30)
+    maxFuture.setDate(maxFuture.getDate() + this.horizonDaysValue + transitDays)
 
-    // Past dates always disabled
-    if (checkDate < today) return true
+    // Past dates always disabled (days end at midnight at the address)
+    const dayEnd = this.instant(field, this.dateKey(nextDay), '00:00')
+    if (dayEnd <= new Date()) return true
 
-    // Beyond 30 days disabled
+    // Beyond the booking horizon disabled
     if (checkDate > maxFuture) return true
 
+    // Days that are over before the lead time (pickup) or the transit time (delivery) has passed
+    if (field === 'pickup' && dayEnd <= this.earliestPickup()) return true
+    if (earliestDelivery && dayEnd <= earliestDelivery) return true
+
+    // Weekends and holidays with policy "block"
+    if (this.dayRestriction(this.dateKey(checkDate), field)?.policy === 'block') return true
+
     // For delivery, must be >= pickup date
     if (field === 'delivery' && this.pickupDateValue) {
       const pickupDate = new Date(this.pickupDateValue)
@@ -403,28 +871,49 @@ export default class extends Controller {
   }
 
   isTimeDisabled(time, field) {
-    // Only delivery times can be disabled
-    if (field !== 'delivery') return false
+    const date = this[`${field}DateValue`]
+    if (!date) return false
+
+    const slot = this.instant(field, date, time)
+
+    // Pickups need the minimum lead time
+    if (field === 'pickup') return slot < this.earliestPickup()
 
-    // Only on same day as pickup
-    if (!this.pickupDateValue || !this.deliveryDateValue) return false
-    if (this.pickupDateValue !== this.deliveryDateValue) return false
+    if (!this.pickupDateValue || !this.pickupTimeValue) return false
 
-    // Delivery time must be after pickup time
-    return time <= this.pickupTimeValue
+    // Delivery window must end after the pickup window starts
+    if (slot <= this.instant('pickup', this.pickupDateValue, this.pickupTimeValue)) return true
+
+    // and cannot start before the goods can arrive
+    const earliest = this.earliestDelivery()
+    return !!earliest && slot < earliest
   }
 
   validateSelection() {
-    if (!this.pickupDateValue || !this.pickupTimeValue ||
-        !this.deliveryDateValue || !this.deliveryTimeValue) {
+    // A selected day can become blocked when the address changes to another country
+    for (const field of ['pickup', 'delivery']) {
+      const date = this[`${field}DateValue`]
+      const restriction = date && this.dayRestriction(date, field)
+      if (restriction?.policy === 'block') {
+        return this.t('day_blocked', { side: this.t(field), date: this.formatDate(date), reason: restriction.message })
+      }
+    }
+
+    if (!this.hasWindow('pickup') || !this.hasWindow('delivery')) {
       return null // Not complete yet
     }
 
-    const pickup = new Date(`${this.pickupDateValue}T${this.pickupTimeValue}`)
-    const delivery = new Date(`${this.deliveryDateValue}T${this.deliveryTimeValue}`)
+    const pickupStart = this.instant('pickup', this.pickupDateValue, this.pickupTimeValue)
+    const deliveryEnd = this.instant('delivery', this.deliveryDateValue, this.deliveryTimeToValue)
+
+    if (deliveryEnd <= pickupStart) {
+      return this.t('delivery_before_pickup')
+    }
 
-    if (delivery <= pickup) {
-      return 'Delivery must be after pickup'
+    const earliest = this.earliestDelivery()
+    const deliveryStart = this.instant('delivery', this.deliveryDateValue, this.deliveryTimeValue)
+    if (earliest && deliveryStart < earliest) {
+      return this.t('delivery_too_early', { date: this.formatDateTime(earliest, 'delivery') })
     }
 
     return null // Valid
@@ -434,43 +923,111 @@ export default class extends Controller {
     const error = this.validateSelection()
 
     if (error) {
-      this.validationErrorTarget.innerHTML = `
-        <div class="bg-red-50 border-2 border-red-200 rounded-lg p-4 flex items-start gap-3">
-          <svg class="w-5 h-5 text-red-600 flex-shrink-0 mt-0.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
-          </svg>
-          <div class="text-sm text-red-700 font-medium">${error}</div>
-        </div>
-      `
+      // The target is an alert region: only new messages are written, so each is announced once
+      if (this.validationErrorTarget.dataset.message !== error) {
+        this.validationErrorTarget.dataset.message = error
+        this.validationErrorTarget.innerHTML = `
+          <div class="bg-red-50 border-2 border-red-200 rounded-lg p-4 flex items-start gap-3">
+            <svg class="w-5 h-5 text-red-600 flex-shrink-0 mt-0.5" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+            </svg>
+            <div class="text-sm text-red-700 font-medium">${error}</div>
+          </div>
+        `
+      }
       this.validationErrorTarget.classList.remove('hidden')
       this.successSummaryTarget.classList.add('hidden')
-    } else if (this.pickupDateValue && this.pickupTimeValue &&
-               this.deliveryDateValue && this.deliveryTimeValue) {
+    } else if (this.hasWindow('pickup') && this.hasWindow('delivery')) {
       // Valid and complete
-      this.validationErrorTarget.classList.add('hidden')
+      this.clearValidationError()
       this.updateSuccessSummary()
     } else {
       // Incomplete
-      this.validationErrorTarget.classList.add('hidden')
+      this.clearValidationError()
       this.successSummaryTarget.classList.add('hidden')
     }
 
+    this.updateDayWarnings()
     this.updateAllDisplays()
   }
 
+  clearValidationError() {
+    delete this.validationErrorTarget.dataset.message
+    this.validationErrorTarget.innerHTML = ''
+    this.validationErrorTarget.classList.add('hidden')
+  }
+
+  // Surcharge hints for selected weekend days and holidays (policy "warn")
+  updateDayWarnings() {
+    if (!this.hasWarningTarget) return
+
+    const warnings = ['pickup', 'delivery'].flatMap(field => {
+      const date = this[`${field}DateValue`]
+      const restriction = date && this.dayRestriction(date, field)
+      if (restriction?.policy !== 'warn') return []
+
+      return [this.t('day_surcharge', { side: this.t(field), date: this.formatDate(date), reason: restriction.message })]
+    })
+
+    const message = warnings.join(' ')
+    if (this.warningTarget.dataset.message === message) return
+    this.warningTarget.dataset.message = message
+
+    if (warnings.length === 0) {
+      this.warningTarget.innerHTML = ''
+      this.warningTarget.classList.add('hidden')
+      return
+    }
+
+    // Status region: written only when the hints change, like the validation error
+    this.warningTarget.innerHTML = `
+      <div class="bg-amber-50 border-2 border-amber-200 rounded-lg p-4 flex items-start gap-3">
+        <svg class="w-5 h-5 text-amber-600 flex-shrink-0 mt-0.5" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+          <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 9v2m0 4h.01M10.29 3.86L1.82 18a2 2 0 001.71 3h16.94a2 2 0 001.71-3L13.71 3.86a2 2 0 00-3.42 0z" />
+        </svg>
+        <div class="text-sm text-amber-800 space-y-1">
+          ${warnings.map(warning => `<p>${warning}</p>`).join('')}
+        </div>
+      </div>
+    `
+    this.warningTarget.classList.remove('hidden')
+  }
+
   updateSuccessSummary() {
     // Don't show the success summary banner - datetime info already visible in collapsed headers
     this.successSummaryTarget.classList.add('hidden')
   }
 
-  formatDisplay(date, time) {
-    if (!date || !time) return 'Select date & time'
+  formatDisplay(field, date, from, to) {
+    if (!date || !from) return this.t('select_window')
+
+    return `${this.formatDate(date)} • ${from}–${to || '…'} ${this.zoneName(field, date, from)}`
+  }
+
+  // Short zone name at that time, e.g. "CEST" or "MESZ" depending on the language
+  zoneName(field, date, time) {
+    return new Intl.DateTimeFormat(this.locale, { timeZone: this.timeZone(field), timeZoneName: 'short' })
+      .formatToParts(this.instant(field, date, time))
+      .find(part => part.type === 'timeZoneName').value
+  }
+
+  formatDateTime(date, field) {
+    return date.toLocaleString(this.locale, {
+      weekday: 'short', day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit',
+      timeZone: this.timeZone(field), timeZoneName: 'short'
+    })
+  }
+
+  formatLongDate(date) {
+    return new Date(`${date}T00:00`).toLocaleDateString(this.locale, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' })
+  }
 
-    const dateObj = new Date(date)
-    const dayName = dateObj.toLocaleDateString('en-GB', { weekday: 'short' })
-    const dateStr = dateObj.toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' })
+  formatDate(date) {
+    const dateObj = new Date(`${date}T00:00`)
+    const dayName = dateObj.toLocaleDateString(this.locale, { weekday: 'short' })
+    const dateStr = dateObj.toLocaleDateString(this.locale, { day: '2-digit', month: 'short', year: 'numeric' })
 
-    return `${dayName}, ${dateStr} • ${time}`
+    return `${dayName}, ${dateStr}`
   }
 
   updateAllDisplays() {
@@ -482,8 +1039,7 @@ export default class extends Controller {
 
   updateCollapsedDisplay(field) {
     const date = this[`${field}DateValue`]
-    const time = this[`${field}TimeValue`]
-    const hasValue = date && time
+    const hasValue = this.hasWindow(field)
     const isPickup = field === 'pickup'
 
     const collapsedTarget = this[`${field}CollapsedTarget`]
@@ -507,8 +1063,50 @@ export default class extends Controller {
     // Update text
     const textDiv = collapsedTarget.querySelector('.display-text')
     if (textDiv) {
-      textDiv.textContent = this.formatDisplay(date, time)
+      textDiv.textContent = this.formatDisplay(field, date, this[`${field}TimeValue`], this[`${field}TimeToValue`])
       // Text color is already text-gray-900 by default, no need to change
     }
   }
 }
+
+// Hours from departure to arrival, including breaks and daily rests
+function transitHours(roadKm) {
+  let remaining = roadKm / AVERAGE_SPEED_KMH
+  let total = 0
+
+  while (remaining > 0) {
+    const driving = Math.min(remaining, DAILY_DRIVING_HOURS)
+    total += driving + (Math.ceil(driving / DRIVING_BEFORE_BREAK_HOURS) - 1) * BREAK_HOURS
+    remaining -= driving
+    if (remaining > 0) total += DAILY_REST_HOURS
+  }
+
+  return total
+}
+
+// Instant of a wall-clock time in an IANA zone; the second pass settles days
+// on which the offset changes (times in the spring gap move forward)
+function zonedTime(date, time, timeZone) {
+  const [year, month, day] = date.split('-').map(Number)
+  const [hour, minute] = time.split(':').map(Number)
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute)
+
+  const guess = wallClock - offsetMinutes(new Date(wallClock), timeZone) * 60000
+  return new Date(wallClock - offsetMinutes(new Date(guess), timeZone) * 60000)
+}
+
+// Minutes ahead of UTC in the zone at that instant
+function offsetMinutes(date, timeZone) {
+  const name = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' })
+    .formatToParts(date)
+    .find(part => part.type === 'timeZoneName').value // "GMT+02:00", or "GMT" for UTC
+  const match = name.match(/([+-])(\d{2}):(\d{2})/)
+  if (!match) return 0
+
+  return (match[1] === '-' ? -1 : 1) * (parseInt(match[2]) * 60 + parseInt(match[3]))
+}
+
+function isoOffset(minutes) {
+  const hours = String(Math.floor(Math.abs(minutes) / 60)).padStart(2, '0')
+  return `${minutes < 0 ? '-' : '+'}${hours}:${String(Math.abs(minutes) % 60).padStart(2, '0')}`
+}
@@ -0,0 +1,155 @@
+import TranslatedController from "helpers/translated_controller"
+
+// Fields that belong to the page, not to the draft
+const SKIPPED_FIELDS = ['authenticity_token', '_method']
+// Rows are added and removed by clicks, the datetime picker is clicked too
+const SAVE_EVENTS = ['input', 'change', 'click']
+
+// Connects to data-controller="form-draft" (on the <form>)
+//
+// Keeps what was entered in a long form in localStorage under `key` (per user
+// and record, see ApplicationHelper#transport_request_draft_key), so a closed
+// tab or an expired session does not lose it. The draft is the form data as
+// it would be submitted: numbers in cm/kg, the hidden fields of the datetime
+// picker and addresses, the chosen shipping mode; fields of hidden shipping
+// mode panels are disabled and not kept.
+//
+// When a draft is found the `banner` offers to restore or discard it; until
+// then nothing is saved over it. Restoring dispatches "form-draft:restore" with
+// { names } so controllers with dynamic rows (package items, stops) can add the
+// rows the page lacks, writes the values and dispatches "form-draft:restored"
+// (also with { names }) for the controllers to redraw from their inputs. Both bubble from the form,
+// the controllers inside it listen on the document (@document).
+//
+// After a successful submit the next page renders this controller with
+// `discard` (see transport_requests/show) and the draft is removed.
+// Texts come from `translations` (form_draft.* in config/locales).
+export default class extends TranslatedController {
+  static targets = ["banner", "bannerText"]
+  static values = {
+    key: String,
+    discard: Boolean,
+    delay: { type: Number, default: 500 }
+  }
+
+  connect() {
+    if (this.discardValue) {
+      this.remove()
+      return
+    }
+
+    this.onChange = () => this.schedule()
+    this.onPageHide = () => this.save()
+    SAVE_EVENTS.forEach(type => this.element.addEventListener(type, this.onChange))
+    window.addEventListener('pagehide', this.onPageHide)
+
+    const draft = this.stored()
+    if (draft) this.showBanner(draft)
+  }
+
+  disconnect() {
+    clearTimeout(this.timeout)
+    if (this.discardValue) return
+
+    SAVE_EVENTS.forEach(type => this.element.removeEventListener(type, this.onChange))
+    window.removeEventListener('pagehide', this.onPageHide)
+  }
+
+  schedule() {
+    clearTimeout(this.timeout)
+    this.timeout = setTimeout(() => this.save(), this.delayValue)
+  }
+
+  save() {
+    clearTimeout(this.timeout)
+    // A draft waiting in the banner is not overwritten before the customer decides
+    if (this.pending) return
+
+    try {
+      localStorage.setItem(this.keyValue, JSON.stringify({ savedAt: new Date().toISOString(), fields: this.fields() }))
+    } catch {
+      // Storage full or disabled (private browsing): the form works without drafts
+    }
+  }
+
+  restore(event) {
+    event.preventDefault()
+    const draft = this.stored()
+    this.hideBanner()
+    if (!draft) return
+
+    const values = groupByName(draft.fields)
+    const names = [...values.keys()]
+    this.dispatch('restore', { detail: { names } })
+    values.forEach((fieldValues, name) => this.writeField(name, fieldValues))
+    this.dispatch('restored', { detail: { names } })
+  }
+
+  discard(event) {
+    event.preventDefault()
+    this.remove()
+    this.hideBanner()
+    this.save()
+  }
+
+  // Checkboxes and radios are checked by value (a Rails checkbox has a hidden
+  // "0" twin that keeps its value), all other fields take the values in order.
+  // Fields in a hidden panel are written too, the restored mode shows them again.
+  writeField(name, values) {
+    const fields = Array.from(this.element.elements).filter(field => field.name === name)
+    const checkable = fields.filter(field => field.type === 'checkbox' || field.type === 'radio')
+
+    if (checkable.length) {
+      checkable.forEach(field => { field.checked = values.includes(field.value) })
+    } else {
+      fields.forEach((field, index) => {
+        if (index < values.length) field.value = values[index]
+      })
+    }
+  }
+
+  // Form data as submitted, files and the page's own fields left out
+  fields() {
+    return Array.from(new FormData(this.element))
+      .filter(([name, value]) => typeof value === 'string' && !SKIPPED_FIELDS.includes(name))
+  }
+
+  stored() {
+    try {
+      const draft = JSON.parse(localStorage.getItem(this.keyValue))
+      return Array.isArray(draft?.fields) ? draft : null
+    } catch {
+      return null
+    }
+  }
+
+  remove() {
+    try {
+      localStorage.removeItem(this.keyValue)
+    } catch {
+      // Storage disabled: there is no draft to remove
+    }
+  }
+
+  showBanner(draft) {
+    if (!this.hasBannerTarget) return
+
+    this.pending = true
+    const savedAt = new Date(draft.savedAt)
+    this.bannerTextTarget.textContent = Number.isNaN(savedAt.getTime())
+      ? this.t('found')
+      : this.t('found_at', { time: new Intl.DateTimeFormat(this.locale, { dateStyle: 'medium', timeStyle: 'short' }).format(savedAt) })
+    this.bannerTarget.classList.remove('hidden')
+  }
+
+  hideBanner() {
+    this.pending = false
+    if (this.hasBannerTarget) this.bannerTarget.classList.add('hidden')
+  }
+}
+
+function groupByName(fields) {
+  const values = new Map()
+  fields.forEach(([name, value]) => values.set(name, [...(values.get(name) || []), value]))
+  return values
+}
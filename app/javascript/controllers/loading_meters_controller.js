@@ -0,0 +1,114 @@
+import TranslatedController from "helpers/translated_controller"
+
+// Loading meters per pallet on a 2.40 m wide trailer, and how many fit on a full one
+const PALLETS = {
+  euro: { loadingMeters: 0.4, perTrailer: 33 },
+  industrial: { loadingMeters: 0.5, perTrailer: 26 }
+}
+
+// Connects to data-controller="loading-meters"
+//
+// Live summary of the loading meter panel: a trailer bar that fills with the
+// entered loading meters, a pallet helper that converts a pallet count into
+// loading meters (and shows how many pallets the entered meters hold), and
+// plausibility checks of weight and height against the largest vehicle
+// (`maxLoadingMeters`, `maxWeight`, `maxHeight`, a 40 t semi-trailer).
+// Texts come from `translations` (loading_meters.* in config/locales).
+export default class extends TranslatedController {
+  static targets = ["loadingMeters", "height", "weight", "bar", "loadingMetersDisplay", "weightDisplay",
+                    "palletType", "palletCount", "palletHint", "warnings"]
+  static values = {
+    maxLoadingMeters: { type: Number, default: 13.6 },
+    maxWeight: { type: Number, default: 24000 },
+    maxHeight: { type: Number, default: 270 }
+  }
+
+  connect() {
+    this.update()
+  }
+
+  update() {
+    const loadingMeters = this.number(this.loadingMetersTarget)
+    const weight = this.number(this.weightTarget)
+
+    this.loadingMetersDisplayTarget.textContent = this.formatNumber(loadingMeters, 1)
+    this.weightDisplayTarget.textContent = this.formatNumber(weight, 0)
+
+    this.updateBar(loadingMeters)
+    this.updatePalletHint(loadingMeters)
+    this.updateWarnings(loadingMeters, weight, this.number(this.heightTarget))
+  }
+
+  // Pallet count => loading meters, rounded up to the input's 0.1 m steps; more
+  // than a trailer holds is written as it is and flagged by updateWarnings
+  applyPallets(event) {
+    event.preventDefault()
+    const pallet = PALLETS[this.palletTypeTarget.value]
+    const count = Math.floor(this.number(this.palletCountTarget))
+    if (!pallet || count < 1) return
+
+    const loadingMeters = Math.ceil(count * pallet.loadingMeters * 10) / 10
+    this.loadingMetersTarget.value = loadingMeters
+    this.loadingMetersTarget.dispatchEvent(new Event('change', { bubbles: true }))
+    this.update()
+  }
+
+  updateBar(loadingMeters) {
+    const share = Math.min(loadingMeters / this.maxLoadingMetersValue, 1)
+    const over = loadingMeters > this.maxLoadingMetersValue
+
+    this.barTarget.style.width = `${share * 100}%`
+    this.barTarget.classList.toggle('bg-red-500', over)
+    this.barTarget.classList.toggle('bg-amber-500', !over && share > 0.9)
+    this.barTarget.classList.toggle('bg-green-500', !over && share <= 0.9)
+    this.barTarget.parentElement.setAttribute('aria-valuenow', loadingMeters)
+  }
+
+  // How many pallets of the selected type the entered loading meters hold
+  updatePalletHint(loadingMeters) {
+    const pallet = PALLETS[this.palletTypeTarget.value]
+    if (!pallet) return
+
+    const count = Math.min(Math.floor(loadingMeters / pallet.loadingMeters + 1e-9), pallet.perTrailer)
+    this.palletHintTarget.textContent = loadingMeters > 0
+      ? this.t('pallet_hint', { meters: this.formatNumber(loadingMeters, 1), count, max: pallet.perTrailer })
+      : this.t('pallet_full_trailer', { max: pallet.perTrailer })
+  }
+
+  updateWarnings(loadingMeters, weight, height) {
+    const errors = []
+    const warnings = []
+    // Payload a trailer carries per loading meter when the weight is spread evenly
+    const weightPerMeter = this.maxWeightValue / this.maxLoadingMetersValue
+
+    if (loadingMeters > this.maxLoadingMetersValue) {
+      errors.push(this.t('over_length', { max: this.formatNumber(this.maxLoadingMetersValue, 1) }))
+    }
+    if (weight > this.maxWeightValue) {
+      errors.push(this.t('over_weight', { max: this.formatNumber(this.maxWeightValue / 1000, 0) }))
+    } else if (loadingMeters > 0 && weight / loadingMeters > weightPerMeter) {
+      warnings.push(this.t('heavy_per_meter', {
+        weight: this.formatNumber(weight / loadingMeters, 0),
+        limit: this.formatNumber(weightPerMeter, 0)
+      }))
+    }
+    if (height > this.maxHeightValue) {
+      errors.push(this.t('over_height', { max: this.formatNumber(this.maxHeightValue, 0) }))
+    }
+
+    this.warningsTarget.innerHTML = [
+      ...errors.map(text => `<p class="text-red-600 font-medium">${text}</p>`),
+      ...warnings.map(text => `<p class="text-amber-700">${text}</p>`)
+    ].join('')
+    this.warningsTarget.classList.toggle('hidden', errors.length + warnings.length === 0)
+  }
+
+  number(input) {
+    const value = parseFloat(input?.value)
+    return Number.isFinite(value) ? value : 0
+  }
+
+  formatNumber(value, digits) {
+    return new Intl.NumberFormat(this.locale, { minimumFractionDigits: digits, maximumFractionDigits: digits }).format(value)
+  }
+}
@@ -1,9 +1,10 @@
-import { Controller } from "@hotwired/stimulus"
+import TranslatedController from "helpers/translated_controller"
+import { mapProvider } from "maps"
 
-// Google Maps Display Controller
+// Map Display Controller (Google Maps or OpenStreetMap, see app/javascript/maps)
 // Connects to data-controller="map"
-export default class extends Controller {
-  static targets = ["container"]
+export default class extends TranslatedController {
+  static targets = ["container", "overlay"]
   static values = {
     startLat: Number,
     startLng: Number,
@@ -12,105 +13,183 @@ export default class extends Controller {
     singleLat: Number,
     singleLng: Number,
     radius: Number,        // Service radius in km
-    showRadius: Boolean    // Whether to show radius circle
+    showRadius: Boolean,   // Whether to show radius circle
+    route: Boolean,        // Draw the road route instead of a straight line
+    quotedDistance: Number, // Stored distance_km to compare the road route against
+    waypoints: Array       // Multi-stop route: [{ lat, lng, stop_type }] in driving order
   }
 
-  connect() {
-    if (typeof google !== 'undefined' && google.maps) {
-      this.initMap()
-    } else {
-      this.loadGoogleMaps()
+  async connect() {
+    try {
+      this.provider = await mapProvider()
+    } catch {
+      this.showError()
+      return
     }
+
+    if (this.element.isConnected) this.initMap()
   }
 
-  loadGoogleMaps() {
-    const script = document.createElement('script')
-    script.src = `https://maps.googleapis.com/maps/api/js?key=${this.apiKey}`
-    script.addEventListener('load', () => this.initMap())
-    document.head.appendChild(script)
+  disconnect() {
+    if (this.map) {
+      this.provider.removeMap(this.map)
+      this.map = null
+    }
   }
 
   initMap() {
-    const bounds = new google.maps.LatLngBounds()
-
-    const map = new google.maps.Map(this.containerTarget, {
-      zoom: 6,
-      mapTypeControl: true,
-      streetViewControl: false,
-      fullscreenControl: true
-    })
+    const map = this.provider.createMap(this.containerTarget, { zoom: 6 })
+    this.map = map
 
-    // Check if this is a route map (start + destination) or single location map
-    if (this.hasStartLatValue && this.hasStartLngValue && this.hasDestLatValue && this.hasDestLngValue) {
-      // Route map - show start and destination with markers
-      const startMarker = new google.maps.Marker({
-        position: { lat: this.startLatValue, lng: this.startLngValue },
-        map: map,
-        title: 'Pickup',
-        label: 'A',
-        icon: {
-          url: 'http://maps.google.com/mapfiles/ms/icons/green-dot.png'
-        }
-      })
-      bounds.extend(startMarker.getPosition())
-
-      const destMarker = new google.maps.Marker({
-        position: { lat: this.destLatValue, lng: this.destLngValue },
-        map: map,
-        title: 'Delivery',
-        label: 'B',
-        icon: {
-          url: 'http://maps.google.com/mapfiles/ms/icons/red-dot.png'
-        }
-      })
-      bounds.extend(destMarker.getPosition())
-
-      // Draw a line between start and destination
-      const routeLine = new google.maps.Polyline({
-        path: [
-          { lat: this.startLatValue, lng: this.startLngValue },
-          { lat: this.destLatValue, lng: this.destLngValue }
-        ],
-        geodesic: true,
-        strokeColor: '#2563EB',
-        strokeOpacity: 0.7,
-        strokeWeight: 3,
-        map: map
+    // Check if this is a route map (start + destination, optionally with stops) or single location map
+    const waypoints = this.routeWaypoints()
+    if (waypoints.length >= 2) {
+      // Route map - A for the start, numbered intermediate stops, B for the destination
+      waypoints.forEach((point, index) => {
+        this.provider.addMarker(map, {
+          position: point.position,
+          title: this.waypointTitle(point, index, waypoints.length),
+          label: this.waypointLabel(index, waypoints.length),
+          color: point.stopType === 'pickup' ? 'green' : 'red'
+        })
       })
 
-      map.fitBounds(bounds)
+      const positions = waypoints.map(point => point.position)
+      this.provider.fitBounds(map, positions)
+
+      if (this.routeValue) {
+        this.drawRoute(map, positions)
+      } else {
+        // Draw a line through all waypoints
+        this.provider.addPolyline(map, positions)
+      }
     } else if (this.hasSingleLatValue && this.hasSingleLngValue) {
       // Single location map - show one marker
-      const marker = new google.maps.Marker({
-        position: { lat: this.singleLatValue, lng: this.singleLngValue },
-        map: map,
-        title: 'Location'
-      })
-
-      map.setCenter(marker.getPosition())
+      const position = { lat: this.singleLatValue, lng: this.singleLngValue }
+      this.provider.addMarker(map, { position, title: 'Location' })
 
       // Add radius circle if enabled
       if (this.hasShowRadiusValue && this.showRadiusValue && this.hasRadiusValue && this.radiusValue > 0) {
-        const radiusCircle = new google.maps.Circle({
-          map: map,
-          center: { lat: this.singleLatValue, lng: this.singleLngValue },
-          radius: this.radiusValue * 1000, // Convert km to meters
-          strokeColor: '#3B82F6',
-          strokeOpacity: 0.8,
-          strokeWeight: 2,
-          fillColor: '#3B82F6',
-          fillOpacity: 0.15
-        })
+        const radiusCircle = this.provider.addCircle(map, { center: position, radiusKm: this.radiusValue })
 
         // Fit map bounds to include the entire circle
-        map.fitBounds(radiusCircle.getBounds())
+        this.provider.fitCircle(map, radiusCircle)
       } else {
-        map.setZoom(12)
+        this.provider.setView(map, position, 12)
       }
     }
   }
 
-  get apiKey() {
-    return document.querySelector('meta[name="google-maps-api-key"]')?.content
+  routeWaypoints() {
+    if (this.hasWaypointsValue && this.waypointsValue.length) {
+      // Stops that could not be geocoded are left out of the map
+      return this.waypointsValue
+        .filter(point => Number.isFinite(point.lat) && Number.isFinite(point.lng))
+        .map(point => ({ position: { lat: point.lat, lng: point.lng }, stopType: point.stop_type }))
+    }
+
+    if (this.hasStartLatValue && this.hasStartLngValue && this.hasDestLatValue && this.hasDestLngValue) {
+      return [
+        { position: { lat: this.startLatValue, lng: this.startLngValue }, stopType: 'pickup' },
+        { position: { lat: this.destLatValue, lng: this.destLngValue }, stopType: 'drop' }
+      ]
+    }
+
+    return []
+  }
+
+  waypointLabel(index, count) {
+    if (index === 0) return 'A'
+    if (index === count - 1) return 'B'
+    return String(index)
+  }
+
+  waypointTitle(point, index, count) {
+    if (index === 0) return this.t('pickup')
+    if (index === count - 1) return this.t('delivery')
+    return this.t(point.stopType === 'pickup' ? 'stop_pickup' : 'stop_drop', { number: index })
+  }
+
+  async drawRoute(map, waypoints) {
+    try {
+      const route = await this.provider.route(waypoints)
+      if (this.map !== map) return
+
+      this.provider.addPolyline(map, route.path, { geodesic: false })
+      this.provider.fitBounds(map, route.path)
+      this.showRouteSummary(route)
+
+      this.dispatch("route-calculated", {
+        detail: { distanceKm: route.distanceKm, durationMinutes: route.durationMinutes, legs: route.legs }
+      })
+    } catch {
+      // Fall back to the straight line so the map is still useful
+      this.provider.addPolyline(map, waypoints)
+      this.showRouteUnavailable()
+    }
+  }
+
+  showRouteSummary(route) {
+    if (!this.hasOverlayTarget) return
+
+    let comparison = ''
+    if (this.hasQuotedDistanceValue && this.quotedDistanceValue > 0) {
+      const deviation = (route.distanceKm - this.quotedDistanceValue) / this.quotedDistanceValue
+      const colorClass = Math.abs(deviation) > 0.1 ? 'text-amber-600' : 'text-gray-500'
+      comparison = `
+        <div class="text-xs ${colorClass} mt-0.5">
+          ${this.t('quoted', { distance: Math.round(this.quotedDistanceValue), deviation: `${deviation >= 0 ? '+' : ''}${Math.round(deviation * 100)}%` })}
+        </div>
+      `
+    }
+
+    let legs = ''
+    if (route.legs.length > 1) {
+      const count = route.legs.length
+      legs = `
+        <ol class="mt-1 pt-1 border-t border-gray-200 text-xs text-gray-600 space-y-0.5">
+          ${route.legs.map((leg, index) => `
+            <li>${this.waypointLabel(index, count + 1)} → ${this.waypointLabel(index + 1, count + 1)}: ${Math.round(leg.distanceKm)} km, ${this.formatDuration(leg.durationMinutes)}</li>
+          `).join('')}
+        </ol>
+      `
+    }
+
+    this.overlayTarget.innerHTML = `
+      <div class="font-semibold text-gray-900">${Math.round(route.distanceKm)} km</div>
+      <div class="text-xs text-gray-600">${this.t('drive_time', { duration: this.formatDuration(route.durationMinutes) })}</div>
+      ${comparison}
+      ${legs}
+    `
+    this.overlayTarget.classList.remove('hidden')
+  }
+
+  showRouteUnavailable() {
+    if (!this.hasOverlayTarget) return
+
+    this.overlayTarget.innerHTML = `
+      <div class="text-xs text-gray-600">${this.t('route_unavailable')}</div>
+    `
+    this.overlayTarget.classList.remove('hidden')
+  }
+
+  formatDuration(minutes) {
+    // Round first so 119.6 minutes read "2 h 0 min", not "1 h 60 min"
+    const total = Math.round(minutes)
+    const hours = Math.floor(total / 60)
+    const rest = total % 60
+    return hours > 0 ? `${hours} h ${rest} min` : `${rest} min`
+  }
+
+  showError() {
+    this.containerTarget.innerHTML = `
+      <div class="flex flex-col items-center justify-center h-full bg-gray-50 text-center p-6">
+        <svg class="w-10 h-10 text-gray-400 mb-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 20l-5.447-2.724A1 1 0 013 16.382V5.618a1 1 0 011.447-.894L9 7m0 13l6-3m-6 3V7m6 10l4.553 2.276A1 1 0 0021 18.382V7.618a1 1 0 00-.553-.894L15 4m0 13V4m0 0L9 7" />
+        </svg>
+        <p class="text-sm font-medium text-gray-700">${this.t('load_failed')}</p>
+        <p class="text-xs text-gray-500 mt-1">${this.t('load_failed_hint')}</p>
+      </div>
+    `
   }
 }
@@ -0,0 +1,103 @@
+import TranslatedController from "helpers/translated_controller"
+
+const SERVICE_WORKER_URL = '/service-worker.js'
+
+const STATUS_CLASSES = {
+  offline: ['bg-gray-50', 'border-gray-200', 'text-gray-700'],
+  queued: ['bg-yellow-50', 'border-yellow-200', 'text-yellow-800'],
+  sent: ['bg-green-50', 'border-green-200', 'text-green-800'],
+  failed: ['bg-red-50', 'border-red-200', 'text-red-800']
+}
+
+// Connects to data-controller="offer-outbox"
+//
+// Lets carriers submit an offer without signal (offers/show). The service
+// worker (app/views/pwa/service-worker.js) keeps this page and its assets for
+// offline use; a submit that does not reach the server is queued there and
+// sent again by Background Sync, or here when the browser is back online.
+// The `status` box shows whether the offer of this page is offline, queued,
+// sent or was rejected on replay (form errors or an expired session: the
+// carrier sends it again).
+// Texts come from `translations` (offer_outbox.* in config/locales).
+export default class extends TranslatedController {
+  static targets = ["status"]
+
+  async connect() {
+    this.form = this.element.querySelector('form')
+    if (!this.form || !('serviceWorker' in navigator)) return
+
+    this.onMessage = event => this.receive(event.data)
+    this.onOnline = () => this.online()
+    this.onOffline = () => this.offline()
+    navigator.serviceWorker.addEventListener('message', this.onMessage)
+    window.addEventListener('online', this.onOnline)
+    window.addEventListener('offline', this.onOffline)
+
+    if (!navigator.onLine) this.offline()
+
+    try {
+      await navigator.serviceWorker.register(SERVICE_WORKER_URL)
+      this.worker = (await navigator.serviceWorker.ready).active
+    } catch {
+      // Without the service worker the form submits as usual, online only
+      return
+    }
+
+    this.post({ type: 'cache-offer-page', urls: this.pageUrls() })
+    this.post({ type: 'offer-status', url: this.form.action })
+    if (navigator.onLine) this.post({ type: 'replay-offers' })
+  }
+
+  disconnect() {
+    if (!this.onMessage) return
+
+    navigator.serviceWorker.removeEventListener('message', this.onMessage)
+    window.removeEventListener('online', this.onOnline)
+    window.removeEventListener('offline', this.onOffline)
+  }
+
+  post(message) {
+    this.worker?.postMessage(message)
+  }
+
+  // A queued or sent offer keeps its own status
+  offline() {
+    if (!this.offer) this.render({ status: 'offline' })
+  }
+
+  online() {
+    this.render(this.offer || null)
+    this.post({ type: 'replay-offers' })
+  }
+
+  receive(message) {
+    if (message?.type !== 'offer-status' || message.url !== this.form.action) return
+
+    this.offer = message
+    this.render(message)
+  }
+
+  render(offer) {
+    const status = offer?.status
+    Object.values(STATUS_CLASSES).flat().forEach(name => this.statusTarget.classList.remove(name))
+    this.statusTarget.classList.toggle('hidden', !status)
+    if (!status) return
+
+    this.statusTarget.classList.add(...STATUS_CLASSES[status])
+    this.statusTarget.textContent = this.t(status, { time: offer.updatedAt ? this.formatTime(offer.updatedAt) : '' })
+  }
+
+  // The page itself and everything it loaded from /assets (stylesheets, the
+  // import map modules), so it opens offline on the next visit
+  pageUrls() {
+    const assets = Array.from(document.querySelectorAll('link[rel="stylesheet"], link[rel="modulepreload"], script[src]'))
+      .map(element => element.href || element.src)
+      .filter(url => new URL(url).pathname.startsWith('/assets/'))
+
+    return [window.location.pathname, ...new Set(assets)]
+  }
+
+  formatTime(value) {
+    return new Intl.DateTimeFormat(this.locale, { dateStyle: 'medium', timeStyle: 'short' }).format(new Date(value))
+  }
+}
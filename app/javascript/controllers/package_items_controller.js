@@ -1,30 +1,124 @@
-import { Controller } from "@hotwired/stimulus"
+import TranslatedController from "helpers/translated_controller"
+import { escapeHtml } from "helpers/html"
+
+// Same rules as PackageItem#loading_meters: footprint against the trailer
+// width, stackable units share a floor position up to the stacking height
+const TRAILER_WIDTH_CM = 240
+const STACKING_HEIGHT_CM = 260
+const TRAILER_LOADING_METERS = 13.6
+
+// Numeric row inputs: unit kind (for inch/lb entry) and whether the column holds whole numbers
+const NUMBER_FIELDS = {
+  quantity: { kind: null, integer: true },
+  length_cm: { kind: 'length', integer: true },
+  width_cm: { kind: 'length', integer: true },
+  height_cm: { kind: 'length', integer: true },
+  weight_kg: { kind: 'weight', integer: false }
+}
+const UNITS = {
+  metric: { length: 'cm', weight: 'kg' },
+  imperial: { length: 'in', weight: 'lb' }
+}
+const METRIC_PER_IMPERIAL = { length: 2.54, weight: 0.45359237 }
+
+// Packing list columns in their default order, with header names we recognize
+const IMPORT_FIELDS = {
+  package_type: { label: 'field_type', aliases: ['type', 'package type', 'typ', 'art', 'packstück', 'verpackung'] },
+  quantity: { label: 'field_quantity', aliases: ['quantity', 'qty', 'pcs', 'anzahl', 'menge', 'stück'] },
+  length_cm: { label: 'field_length', aliases: ['length', 'länge', 'laenge', 'l'] },
+  width_cm: { label: 'field_width', aliases: ['width', 'breite', 'b', 'w'] },
+  height_cm: { label: 'field_height', aliases: ['height', 'höhe', 'hoehe', 'h'] },
+  weight_kg: { label: 'field_weight', aliases: ['weight', 'weight per unit', 'gewicht', 'kg'] },
+  stackable: { label: 'field_stackable', aliases: ['stackable', 'stapelbar'] }
+}
+const TRUTHY_VALUES = ['1', 'x', 'yes', 'y', 'true', 'ja', 'j']
+
+// Tunnel categories from least to most permissive (ADR 1.9.5.2.2)
+const TUNNEL_CATEGORIES = ['B', 'C', 'D', 'E']
 
 // Connects to data-controller="package-items"
-export default class extends Controller {
-  static targets = ["template", "container", "summary"]
-  static values = { presets: Object }
+//
+// The summary totals count, weight, loading meters, volume and chargeable weight
+// (the greater of actual and volumetric weight, see `volumetricDivisor`) of the
+// visible rows, and suggests the smallest vehicle from `vehicles`
+// (TransportRequest::VEHICLE_TYPES_BOOKING) that carries them and fits every unit.
+// Each row shows its volume and is flagged when a unit is too large for a van or
+// for every vehicle. Taking the suggestion dispatches "package-items:select-vehicle"
+// with { vehicleType } for the shipping mode switcher.
+//
+// Packing lists pasted from a spreadsheet (tab separated) or uploaded as CSV go
+// through a preview: columns are mapped by their header (or the default order),
+// rows are checked against the package types in `presets` and the valid ones
+// become rows from the template.
+//
+// Numbers are typed and shown the way the page language (<html lang>) writes
+// them ("12,5" in German, "12.5" in English, thousands separators allowed).
+// Lengths and weights can be entered in inch/lb (`units`); the submitted form
+// data always carries plain cm/kg numbers. Texts come from `translations`
+// (package_items.* in config/locales).
+//
+// Rows can declare ADR dangerous goods. A known UN number fills class, packing
+// group, proper shipping name and tunnel code from `dangerousGoods`
+// (config/adr_dangerous_goods.yml); the rows are then checked against the mixed
+// loading rules and summed up in the summary. TransportRequest validates the
+// same rules on save.
+//
+// A restored form draft (form-draft) brings back its rows under their original
+// index, see restoreRows/restoreDraft.
+export default class extends TranslatedController {
+  static targets = ["template", "container", "summary", "suggestion", "importPanel", "importText", "importPreview"]
+  static values = {
+    presets: Object,
+    vehicles: Array,
+    volumetricDivisor: { type: Number, default: 3000 },
+    units: { type: String, default: 'metric' },
+    dangerousGoods: Object
+  }
 
   connect() {
+    // Server-rendered values are plain numbers ("300.0"), show them in the page's format
+    this.numberInputs().forEach(({ input, field }) => {
+      if (input.value !== '') this.setInputNumber(input, field, parseFloat(input.value))
+    })
+    this.updateUnitLabels()
+
+    // Normalize the submitted data only, so the inputs keep what the user typed
+    this.form = this.element.closest('form')
+    this.onFormData = event => this.normalizeFormData(event.formData)
+    this.form?.addEventListener('formdata', this.onFormData)
+
     this.updateSummary()
   }
 
+  disconnect() {
+    this.form?.removeEventListener('formdata', this.onFormData)
+  }
+
   add(event) {
     event.preventDefault()
-    const content = this.templateTarget.innerHTML.replace(/NEW_RECORD/g, new Date().getTime())
-    this.containerTarget.insertAdjacentHTML('beforeend', content)
+    this.appendRow()
     this.updateSummary()
   }
 
+  appendRow(index = null) {
+    // Imports add many rows within the same millisecond
+    this.rowIndex = Math.max(new Date().getTime(), (this.rowIndex || 0) + 1)
+    const content = this.templateTarget.innerHTML.replace(/NEW_RECORD/g, index ?? this.rowIndex)
+    this.containerTarget.insertAdjacentHTML('beforeend', content)
+    this.updateUnitLabels()
+    return this.containerTarget.lastElementChild
+  }
+
   remove(event) {
     event.preventDefault()
     const item = event.target.closest('.package-item')
 
-    // Mark for deletion if persisted
+    // Mark for deletion if persisted; the row's other fields are neither validated nor sent
     const destroyInput = item.querySelector('input[name*="_destroy"]')
     if (destroyInput) {
       destroyInput.value = '1'
       item.style.display = 'none'
+      item.querySelectorAll('input, select, textarea').forEach(field => { field.disabled = field !== destroyInput })
     } else {
       item.remove()
     }
@@ -39,36 +133,746 @@ export default class extends Controller {
 
     if (preset) {
       const item = select.closest('.package-item')
-      const lengthInput = item.querySelector('[name*="[length_cm]"]')
-      const widthInput = item.querySelector('[name*="[width_cm]"]')
-      const heightInput = item.querySelector('[name*="[height_cm]"]')
-      const weightInput = item.querySelector('[name*="[weight_kg]"]')
-
-      if (lengthInput && preset.length) lengthInput.value = preset.length
-      if (widthInput && preset.width) widthInput.value = preset.width
-      if (heightInput && preset.height) heightInput.value = preset.height
-      if (weightInput && preset.weight) weightInput.value = preset.weight
+      const defaults = { length_cm: preset.length, width_cm: preset.width, height_cm: preset.height, weight_kg: preset.weight }
+
+      Object.entries(defaults).forEach(([field, value]) => {
+        const input = this.numberInput(item, field)
+        if (input && value) this.setInputNumber(input, field, parseFloat(value))
+      })
     }
 
     this.updateSummary()
   }
 
+  // Form draft (form-draft)
+
+  // Rows of the draft the page does not have yet, under their draft index
+  restoreRows(event) {
+    const indexes = new Set(event.detail.names.map(name => name.match(/\[package_items_attributes\]\[(\d+)\]/)?.[1]).filter(Boolean))
+
+    indexes.forEach(index => {
+      if (!this.containerTarget.querySelector(`[name*="[package_items_attributes][${index}]"]`)) this.appendRow(index)
+    })
+  }
+
+  // The draft holds plain cm/kg numbers like the server; rows removed before stay removed
+  restoreDraft(event) {
+    const restored = new Set(event.detail.names)
+
+    this.containerTarget.querySelectorAll('.package-item').forEach(item => {
+      const destroyInput = item.querySelector('input[name*="_destroy"]')
+      if (destroyInput?.value === '1') {
+        item.style.display = 'none'
+        item.querySelectorAll('input, select, textarea').forEach(field => { field.disabled = field !== destroyInput })
+      }
+
+      const dangerousGoods = item.querySelector('input[type="checkbox"][name$="[dangerous_goods]"]')
+      item.querySelector('.package-item-adr')?.classList.toggle('hidden', !dangerousGoods?.checked)
+    })
+
+    // Numbers the draft kept as typed (not understood) stay as they are
+    this.numberInputs().forEach(({ input, field }) => {
+      const value = input.value.trim() === '' ? NaN : Number(input.value)
+      if (restored.has(input.name) && !Number.isNaN(value)) this.setInputNumber(input, field, value)
+    })
+    this.updateSummary()
+  }
+
+  // Numbers and units
+
+  numberChanged(event) {
+    const input = event.target
+    const field = Object.keys(NUMBER_FIELDS).find(name => input.name.endsWith(`[${name}]`))
+    const value = this.parseNumber(input.value)
+    // Show what was understood, e.g. "12.5" becomes "12,5" on a German page
+    if (field && !Number.isNaN(value)) input.value = this.formatInput(value, field)
+
+    // Text inputs have no min/step, so the form's validation learns about bad numbers here
+    if (input.value.trim() === '') input.setCustomValidity('')
+    else if (Number.isNaN(value)) input.setCustomValidity(this.t('number_invalid'))
+    else if (value <= 0) input.setCustomValidity(this.t('number_positive'))
+    else input.setCustomValidity('')
+
+    this.updateSummary()
+  }
+
+  changeUnits(event) {
+    // Keep the quantities, only the way they are written changes
+    const inputs = this.numberInputs().map(entry => ({ ...entry, value: this.inputNumber(entry.input, entry.field) }))
+    this.unitsValue = event.target.value
+    inputs.forEach(({ input, field, value }) => {
+      if (!Number.isNaN(value)) this.setInputNumber(input, field, value)
+    })
+
+    this.updateUnitLabels()
+    this.updateSummary()
+  }
+
+  updateUnitLabels() {
+    this.element.querySelectorAll('[data-unit-label]').forEach(label => {
+      label.textContent = UNITS[this.unitsValue][label.dataset.unitLabel]
+    })
+  }
+
+  numberInputs() {
+    return Array.from(this.containerTarget.querySelectorAll('.package-item')).flatMap(item =>
+      Object.keys(NUMBER_FIELDS).map(field => ({ input: this.numberInput(item, field), field })).filter(({ input }) => input)
+    )
+  }
+
+  numberInput(item, field) {
+    return item.querySelector(`input[name$="[${field}]"]`)
+  }
+
+  // Metric value of an input (NaN when it is not a number)
+  inputNumber(input, field) {
+    const value = this.parseNumber(input?.value)
+    const { kind } = NUMBER_FIELDS[field]
+    return this.unitsValue === 'imperial' && kind ? value * METRIC_PER_IMPERIAL[kind] : value
+  }
+
+  setInputNumber(input, field, metricValue) {
+    const { kind } = NUMBER_FIELDS[field]
+    const value = this.unitsValue === 'imperial' && kind ? metricValue / METRIC_PER_IMPERIAL[kind] : metricValue
+    input.value = this.formatInput(value, field)
+    input.setCustomValidity('')
+  }
+
+  formatInput(value, field) {
+    const { kind, integer } = NUMBER_FIELDS[field]
+    const digits = integer && (this.unitsValue === 'metric' || !kind) ? 0 : 2
+    return this.formatNumber(value, { maximumFractionDigits: digits, useGrouping: false })
+  }
+
+  formatNumber(value, options = {}) {
+    return new Intl.NumberFormat(this.locale, options).format(value)
+  }
+
+  parseNumber(text) {
+    return parseLocaleNumber(text, this.decimalSeparator())
+  }
+
+  decimalSeparator() {
+    return new Intl.NumberFormat(this.locale).formatToParts(1.5).find(part => part.type === 'decimal')?.value || '.'
+  }
+
+  // The server gets cm (whole numbers) and kg with a decimal point, whatever was typed
+  normalizeFormData(formData) {
+    this.numberInputs().forEach(({ input, field }) => {
+      // Hidden shipping-mode panels and removed rows are not submitted
+      if (input.matches(':disabled')) return
+
+      const value = this.inputNumber(input, field)
+      if (Number.isNaN(value)) return // left as typed for the server's validation message
+
+      const { integer } = NUMBER_FIELDS[field]
+      formData.set(input.name, String(integer ? Math.round(value) : Math.round(value * 100) / 100))
+    })
+  }
+
   updateSummary() {
     if (!this.hasSummaryTarget) return
 
     let totalPackages = 0
     let totalWeight = 0
+    let totalLoadingMeters = 0
+    let totalVolume = 0
+    let totalVolumetricWeight = 0
+    let fittingVehicles = this.vehiclesValue
+    const dangerousRows = []
 
     this.containerTarget.querySelectorAll('.package-item:not([style*="display: none"])').forEach(item => {
-      const quantity = parseInt(item.querySelector('[name*="[quantity]"]')?.value) || 0
-      const weight = parseFloat(item.querySelector('[name*="[weight_kg]"]')?.value) || 0
-      totalPackages += quantity
-      totalWeight += quantity * weight
+      const row = this.rowValues(item)
+      const fitting = this.fittingVehicles(row)
+
+      totalPackages += row.quantity
+      totalWeight += row.quantity * row.weight
+      totalLoadingMeters += this.loadingMeters(row)
+      totalVolume += this.volume(row)
+      totalVolumetricWeight += this.volumetricWeight(row)
+      fittingVehicles = fittingVehicles.filter(vehicle => fitting.some(({ key }) => key === vehicle.key))
+
+      this.updateRowDetails(item, row, fitting)
+
+      const adr = this.rowAdr(item)
+      this.updateRowAdr(item, adr)
+      if (adr) dangerousRows.push(adr)
     })
 
+    const overLength = totalLoadingMeters > TRAILER_LOADING_METERS
+    const chargeableWeight = Math.max(totalWeight, totalVolumetricWeight)
+
     this.summaryTarget.innerHTML = `
-      Packstück(e): <strong>${totalPackages}</strong>
-      Gesamtgewicht: <strong>${totalWeight.toFixed(2)}kg</strong>
+      ${this.t('packages')}: <strong>${this.formatNumber(totalPackages)}</strong>
+      ${this.t('total_weight')}: <strong>${this.formatWeight(totalWeight)}</strong>
+      ${this.t('loading_meters')}: <strong class="${overLength ? 'text-red-600' : ''}">${this.formatNumber(totalLoadingMeters, { minimumFractionDigits: 2, maximumFractionDigits: 2 })} m</strong>
+      <div class="mt-1">
+        ${this.t('volume')}: <strong>${this.formatNumber(totalVolume, { minimumFractionDigits: 3, maximumFractionDigits: 3 })} m³</strong>
+        ${this.t('volumetric_weight')}: <strong>${this.formatWeight(totalVolumetricWeight)}</strong>
+        ${this.t('chargeable_weight')}: <strong>${this.formatWeight(chargeableWeight)}</strong>
+        <span class="text-xs text-gray-500">(${this.t('volumetric_ratio', { weight: this.formatNumber(Math.round(1000000 / this.volumetricDivisorValue)) })})</span>
+      </div>
+      ${overLength ? `
+        <p class="mt-2 text-red-600 font-medium">
+          ${this.t('over_trailer', { max: this.formatNumber(TRAILER_LOADING_METERS) })}
+        </p>
+      ` : ''}
+      ${this.adrSummary(dangerousRows)}
+    `
+
+    this.updateSuggestion(totalWeight, totalLoadingMeters, fittingVehicles)
+  }
+
+  // "1.234,50 kg", plus pounds while entering inch/lb
+  formatWeight(kg) {
+    const metric = `${this.formatNumber(kg, { minimumFractionDigits: 2, maximumFractionDigits: 2 })} kg`
+    if (this.unitsValue !== 'imperial') return metric
+
+    return `${metric} (${this.formatNumber(kg / METRIC_PER_IMPERIAL.weight, { maximumFractionDigits: 0 })} lb)`
+  }
+
+  rowValues(item) {
+    const number = field => this.inputNumber(this.numberInput(item, field), field) || 0
+
+    return {
+      quantity: Math.trunc(number('quantity')),
+      weight: number('weight_kg'),
+      length: number('length_cm'),
+      width: number('width_cm'),
+      height: number('height_cm'),
+      stackable: !!item.querySelector('input[type="checkbox"][name*="[stackable]"]')?.checked
+    }
+  }
+
+  loadingMeters({ quantity, length, width, height, stackable }) {
+    if (!length || !width) return 0
+
+    const layers = stackable && height ? Math.max(Math.floor(STACKING_HEIGHT_CM / height), 1) : 1
+    return (length * width / TRAILER_WIDTH_CM / 100) * Math.ceil(quantity / layers)
+  }
+
+  volume({ quantity, length, width, height }) {
+    return length * width * height * quantity / 1000000
+  }
+
+  // Same as PackageItem#volumetric_weight
+  volumetricWeight({ quantity, length, width, height }) {
+    return length * width * height * quantity / this.volumetricDivisorValue
+  }
+
+  // Vehicles a single unit fits into, upright and turned by 90° (all of them without full dimensions)
+  fittingVehicles({ length, width, height }) {
+    if (!length || !width || !height) return this.vehiclesValue
+
+    return this.vehiclesValue.filter(({ cargo_space_cm: [spaceLength, spaceWidth, spaceHeight] }) =>
+      height <= spaceHeight &&
+        ((length <= spaceLength && width <= spaceWidth) || (width <= spaceLength && length <= spaceWidth))
+    )
+  }
+
+  updateRowDetails(item, row, fitting) {
+    const details = item.querySelector('.package-item-details')
+    if (!details) return
+
+    const volume = this.volume(row)
+    if (!volume) {
+      details.innerHTML = ''
+      details.classList.add('hidden')
+      item.classList.replace('border-red-300', 'border-gray-200')
+      return
+    }
+
+    const volumetricWeight = this.volumetricWeight(row)
+    const chargeable = volumetricWeight > row.quantity * row.weight
+    const largest = this.vehiclesValue.at(-1)
+    const oversized = !!largest && fitting.length === 0
+    let flag = ''
+
+    if (oversized) {
+      flag = `<p class="mt-1 text-red-600 font-medium">${this.t('oversized', { space: this.formatSpace(largest) })}</p>`
+    } else if (largest && fitting[0].key !== this.vehiclesValue[0].key) {
+      flag = `<p class="mt-1 text-amber-700">${this.t('fits_from', { vehicle: fitting[0].name, space: this.formatSpace(fitting[0]) })}</p>`
+    }
+
+    details.innerHTML = `
+      ${this.t('volume')}: <strong>${this.formatNumber(volume, { minimumFractionDigits: 3, maximumFractionDigits: 3 })} m³</strong> ·
+      ${this.t('volumetric_weight')}: <strong class="${chargeable ? 'text-amber-700' : ''}">${this.formatWeight(volumetricWeight)}</strong>
+      ${flag}
     `
+    details.classList.remove('hidden')
+    item.classList.toggle('border-red-300', oversized)
+    item.classList.toggle('border-gray-200', !oversized)
+  }
+
+  formatSpace(vehicle) {
+    return `${vehicle.cargo_space_cm.map(cm => this.formatNumber(cm)).join(' × ')} cm`
   }
+
+  // Smallest vehicle for weight and loading meters (vehicles are ordered smallest first)
+  suggestedVehicle(weight, loadingMeters, vehicles = this.vehiclesValue) {
+    return vehicles.find(vehicle =>
+      weight <= vehicle.max_weight && loadingMeters <= vehicle.max_loading_meters
+    )
+  }
+
+  updateSuggestion(weight, loadingMeters, vehicles) {
+    if (!this.hasSuggestionTarget) return
+
+    const vehicle = (weight > 0 || loadingMeters > 0) && this.suggestedVehicle(weight, loadingMeters, vehicles)
+    if (!vehicle) {
+      this.suggestionTarget.innerHTML = ''
+      this.suggestionTarget.classList.add('hidden')
+      return
+    }
+
+    this.suggestionTarget.innerHTML = `
+      <div class="flex flex-wrap items-center justify-between gap-3">
+        <p class="text-sm text-gray-700">
+          ${this.t('suggested_vehicle')}: <strong>${vehicle.name}</strong>
+          <span class="text-gray-500">(max. ${this.formatNumber(vehicle.max_weight)} kg, ${this.formatNumber(vehicle.max_loading_meters)} LDM)</span>
+        </p>
+        <button type="button"
+                data-action="package-items#selectSuggestedVehicle"
+                data-vehicle-type="${vehicle.key}"
+                class="px-3 py-1.5 text-sm font-medium text-white bg-gray-900 rounded-md hover:bg-gray-700 transition">
+          ${this.t('book_vehicle')}
+        </button>
+      </div>
+    `
+    this.suggestionTarget.classList.remove('hidden')
+  }
+
+  selectSuggestedVehicle(event) {
+    event.preventDefault()
+    this.dispatch('select-vehicle', { detail: { vehicleType: event.currentTarget.dataset.vehicleType } })
+  }
+
+  // Dangerous goods (ADR)
+
+  toggleDangerousGoods(event) {
+    const item = event.target.closest('.package-item')
+    item.querySelector('.package-item-adr')?.classList.toggle('hidden', !event.target.checked)
+
+    this.updateSummary()
+  }
+
+  // Fill class, name, packing group and tunnel code of a UN number we know
+  lookupUnNumber(event) {
+    const item = event.target.closest('.package-item')
+    const unNumber = normalizeUnNumber(event.target.value)
+    const substance = this.substance(unNumber)
+    event.target.value = unNumber
+
+    if (substance) {
+      const groups = Object.keys(substance.variants)
+      this.adrInput(item, 'adr_class').value = substance.class
+      this.adrInput(item, 'proper_shipping_name').value = substance.name
+      this.adrInput(item, 'packing_group').value = groups.length === 1 && groups[0] !== '-' ? groups[0] : ''
+      this.fillTunnelCode(item)
+    }
+
+    this.updateSummary()
+  }
+
+  packingGroupChanged(event) {
+    this.fillTunnelCode(event.target.closest('.package-item'))
+    this.updateSummary()
+  }
+
+  fillTunnelCode(item) {
+    const variant = this.variant(this.adrInput(item, 'un_number').value, this.adrInput(item, 'packing_group').value)
+    if (variant) this.adrInput(item, 'tunnel_code').value = variant.tunnel_code
+  }
+
+  substance(unNumber) {
+    return this.dangerousGoodsValue.substances?.[normalizeUnNumber(unNumber)]
+  }
+
+  // Same lookup as Adr::DangerousGoods.variant
+  variant(unNumber, packingGroup) {
+    const variants = this.substance(unNumber)?.variants
+    if (!variants) return null
+
+    const all = Object.values(variants)
+    return variants[packingGroup || '-'] || (all.length === 1 ? all[0] : null)
+  }
+
+  adrInput(item, field) {
+    return item.querySelector(`[name$="[${field}]"]:not([type="hidden"])`)
+  }
+
+  // ADR data of a row, null when it carries no dangerous goods
+  rowAdr(item) {
+    if (!this.adrInput(item, 'dangerous_goods')?.checked) return null
+
+    const unNumber = normalizeUnNumber(this.adrInput(item, 'un_number').value)
+    const adrClass = this.adrInput(item, 'adr_class').value
+    const substance = this.substance(unNumber)
+
+    return {
+      unNumber,
+      adrClass,
+      known: !!substance,
+      labels: substance?.labels || (adrClass ? [adrClass] : []),
+      tunnelCode: this.adrInput(item, 'tunnel_code').value.trim(),
+      allowance: this.variant(unNumber, this.adrInput(item, 'packing_group').value)?.limited_quantity,
+      limitedQuantity: this.adrInput(item, 'limited_quantity').checked
+    }
+  }
+
+  // Tunnel and limited quantity hints below the row's ADR fields
+  updateRowAdr(item, adr) {
+    const hints = item.querySelector('.package-item-adr-hints')
+    const limitedQuantity = this.adrInput(item, 'limited_quantity')
+    if (!hints) return
+
+    // LQ is only offered where Table A allows it
+    if (limitedQuantity) {
+      limitedQuantity.disabled = adr?.allowance === '0'
+      if (limitedQuantity.disabled) limitedQuantity.checked = false
+    }
+
+    if (!adr || !/^\d{4}$/.test(adr.unNumber)) {
+      hints.innerHTML = ''
+      return
+    }
+
+    const lines = []
+    if (!adr.known) lines.push(this.t('adr_unknown', { un: adr.unNumber }))
+
+    const tunnelCode = packageTunnelCode(adr.tunnelCode)
+    if (tunnelCode) {
+      lines.push(this.t('adr_tunnel', { code: adr.tunnelCode, categories: closedTunnels(tunnelCode).join(', ') }))
+    } else if (adr.tunnelCode) {
+      lines.push(this.t('adr_no_tunnel'))
+    }
+
+    if (adr.allowance === '0') lines.push(this.t('adr_lq_not_permitted'))
+    else if (adr.allowance) lines.push(this.t('adr_lq_allowance', { allowance: adr.allowance }))
+
+    hints.innerHTML = lines.map(line => `<p>${escapeHtml(line)}</p>`).join('')
+  }
+
+  // Classes, strictest tunnel code and mixed loading conflicts of the dangerous rows
+  adrSummary(rows) {
+    const declared = rows.filter(row => /^\d{4}$/.test(row.unNumber))
+    if (declared.length === 0) return ''
+
+    const rules = this.dangerousGoodsValue.mixed_loading || {}
+    const regulated = declared.filter(row => !row.limitedQuantity)
+    const conflicts = []
+    regulated.forEach((row, index) => {
+      regulated.slice(index + 1).forEach(other => {
+        if (!compatibleLabels(row.labels, other.labels, rules)) conflicts.push([row, other])
+      })
+    })
+
+    const classes = [...new Set(declared.map(row => row.adrClass).filter(Boolean))].sort()
+    const tunnelCode = strictestTunnelCode(regulated.map(row => row.tunnelCode))
+    const limitedQuantities = declared.length - regulated.length
+
+    return `
+      <div class="mt-2 pt-2 border-t border-gray-200">
+        ${this.t('adr')}: <strong>${declared.map(row => `UN ${row.unNumber}`).join(', ')}</strong>
+        ${classes.length ? `· ${this.t('adr_classes')}: <strong>${escapeHtml(classes.join(', '))}</strong>` : ''}
+        · ${this.t('adr_tunnel_code')}: <strong>${escapeHtml(tunnelCode || '–')}</strong>
+        ${limitedQuantities ? `· ${this.t('adr_limited_quantities', { count: limitedQuantities })}` : ''}
+        ${conflicts.map(([row, other]) => `
+          <p class="mt-1 text-red-600 font-medium">${this.t('adr_conflict', { un: row.unNumber, other: other.unNumber })}</p>
+        `).join('')}
+      </div>
+    `
+  }
+
+  // Packing list import
+
+  toggleImport(event) {
+    const open = this.importPanelTarget.classList.toggle('hidden') === false
+    event.currentTarget.setAttribute('aria-expanded', open)
+    if (open) this.importTextTarget.focus()
+  }
+
+  async readImportFile(event) {
+    const file = event.target.files[0]
+    if (!file) return
+
+    this.importTextTarget.value = decodeText(await file.arrayBuffer())
+    event.target.value = ''
+    this.parseImport()
+  }
+
+  parseImport() {
+    this.importRows = parseDelimited(this.importTextTarget.value)
+    const header = this.importRows[0] || []
+    const headerMapping = header.map(cell => importFieldFor(cell))
+    this.importHasHeader = headerMapping.some(Boolean)
+
+    // Known headers map their columns, otherwise the columns are in the default order
+    const defaultFields = Object.keys(IMPORT_FIELDS)
+    this.importMapping = this.importHasHeader
+      ? headerMapping.map(field => field || '')
+      : header.map((_, index) => defaultFields[index] || '')
+
+    this.renderImportPreview()
+  }
+
+  changeImportMapping(event) {
+    this.importMapping[parseInt(event.target.dataset.column)] = event.target.value
+    this.renderImportPreview()
+  }
+
+  toggleImportHeader(event) {
+    this.importHasHeader = event.target.checked
+    this.renderImportPreview()
+  }
+
+  importDataRows() {
+    return (this.importHasHeader ? this.importRows.slice(1) : this.importRows)
+      .map(cells => ({ cells, ...this.validateImportRow(cells) }))
+  }
+
+  // Values keyed by field plus the problems that keep the row from being imported
+  validateImportRow(cells) {
+    const values = {}
+    const errors = []
+    this.importMapping.forEach((field, index) => {
+      if (field) values[field] = (cells[index] || '').trim()
+    })
+
+    const packageType = this.matchPackageType(values.package_type)
+    if (!packageType) errors.push(values.package_type ? this.t('import_unknown_type', { type: values.package_type }) : this.t('import_type_missing'))
+
+    const quantity = values.quantity ? this.parseNumber(values.quantity) : 1
+    if (!Number.isInteger(quantity) || quantity < 1) errors.push(this.t('import_quantity_invalid'))
+
+    const weight = this.parseNumber(values.weight_kg)
+    if (!(weight > 0)) errors.push(this.t('import_weight_invalid'))
+
+    const dimensions = {}
+    for (const field of ['length_cm', 'width_cm', 'height_cm']) {
+      if (!values[field]) continue
+
+      dimensions[field] = this.parseNumber(values[field])
+      if (!Number.isInteger(dimensions[field]) || dimensions[field] < 1) {
+        errors.push(this.t('import_dimension_invalid', { field: this.t(IMPORT_FIELDS[field].label) }))
+      }
+    }
+
+    return {
+      errors,
+      values: {
+        package_type: packageType,
+        quantity,
+        weight_kg: weight,
+        ...dimensions,
+        stackable: TRUTHY_VALUES.includes((values.stackable || '').toLowerCase())
+      }
+    }
+  }
+
+  // Preset key for a type as people write it: "Euro-Palette" or "europalette" -> "europalette"
+  matchPackageType(value) {
+    if (!value) return null
+
+    const normalize = text => text.toLowerCase().replace(/[\s_-]+/g, '')
+    return Object.keys(this.presetsValue).find(key => normalize(key) === normalize(value)) || null
+  }
+
+  renderImportPreview() {
+    if (this.importRows.length === 0) {
+      this.importPreviewTarget.innerHTML = ''
+      return
+    }
+
+    const rows = this.importDataRows()
+    const validCount = rows.filter(row => row.errors.length === 0).length
+    const skippedCount = rows.length - validCount
+    const columnCount = Math.max(...this.importRows.map(cells => cells.length))
+    const fieldOptions = selected => [['', this.t('import_ignore')], ...Object.entries(IMPORT_FIELDS).map(([field, { label }]) => [field, this.t(label)])]
+      .map(([field, label]) => `<option value="${field}" ${field === selected ? 'selected' : ''}>${label}</option>`)
+      .join('')
+
+    this.importPreviewTarget.innerHTML = `
+      <label class="flex items-center gap-2 text-sm text-gray-700 mb-2">
+        <input type="checkbox" data-action="package-items#toggleImportHeader" ${this.importHasHeader ? 'checked' : ''} class="h-4 w-4 rounded">
+        ${this.t('import_header_row')}
+      </label>
+      <div class="overflow-x-auto max-h-80 border border-gray-200 rounded-lg bg-white">
+        <table class="min-w-full text-xs">
+          <thead class="bg-gray-50 sticky top-0">
+            <tr>
+              ${Array.from({ length: columnCount }, (_, column) => `
+                <th class="px-2 py-2 text-left font-medium text-gray-600">
+                  <select data-action="package-items#changeImportMapping" data-column="${column}"
+                          aria-label="${this.t('import_column', { number: column + 1 })}"
+                          class="w-full px-1 py-1 border border-gray-300 rounded text-xs">
+                    ${fieldOptions(this.importMapping[column] || '')}
+                  </select>
+                </th>
+              `).join('')}
+              <th class="px-2 py-2 text-left font-medium text-gray-600">${this.t('import_check')}</th>
+            </tr>
+          </thead>
+          <tbody class="divide-y divide-gray-100">
+            ${rows.map(({ cells, errors }) => `
+              <tr class="${errors.length ? 'bg-red-50' : ''}">
+                ${Array.from({ length: columnCount }, (_, column) => `
+                  <td class="px-2 py-1 whitespace-nowrap ${this.importMapping[column] ? 'text-gray-900' : 'text-gray-400'}">${escapeHtml(cells[column] || '')}</td>
+                `).join('')}
+                <td class="px-2 py-1 whitespace-nowrap ${errors.length ? 'text-red-700' : 'text-green-700'}">${errors.length ? escapeHtml(errors.join(', ')) : 'OK'}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+      <div class="flex flex-wrap items-center justify-between gap-3 mt-3">
+        <p class="text-xs text-gray-600" role="status">
+          ${this.t('import_ready', { valid: validCount, total: rows.length })}${skippedCount ? `, ${this.t('import_skipped', { count: skippedCount })}` : ''}
+        </p>
+        <button type="button"
+                data-action="package-items#importPackingList"
+                ${validCount ? '' : 'disabled'}
+                class="px-3 py-1.5 text-sm font-medium text-white bg-gray-900 rounded-md hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed transition">
+          ${this.t('import_add', { count: validCount })}
+        </button>
+      </div>
+    `
+  }
+
+  importPackingList(event) {
+    event.preventDefault()
+
+    this.importDataRows()
+      .filter(row => row.errors.length === 0)
+      .forEach(({ values }) => this.fillRow(this.appendRow(), values))
+
+    this.importTextTarget.value = ''
+    this.importRows = []
+    this.renderImportPreview()
+    this.importPanelTarget.classList.add('hidden')
+    this.updateSummary()
+  }
+
+  // Packing lists are in cm/kg; inputs show them in the current units
+  fillRow(item, values) {
+    Object.entries(values).forEach(([field, value]) => {
+      const input = item.querySelector(`[name$="[${field}]"]:not([type="hidden"])`)
+      if (!input || value === undefined) return
+
+      if (input.type === 'checkbox') input.checked = value
+      else if (NUMBER_FIELDS[field]) this.setInputNumber(input, field, value)
+      else input.value = value
+    })
+  }
+}
+
+// Rows of cells from tab separated (spreadsheet paste) or CSV text; the CSV
+// delimiter is whichever of ";" and "," the first line uses more. Quoted cells
+// may contain delimiters, doubled quotes and line breaks.
+function parseDelimited(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0]
+  const delimiter = firstLine.includes('\t') ? '\t'
+    : (firstLine.split(';').length >= firstLine.split(',').length ? ';' : ',')
+
+  const rows = []
+  let row = []
+  let cell = ''
+  let quoted = false
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index]
+
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        cell += '"'
+        index++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        cell += char
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true
+    } else if (char === delimiter) {
+      row.push(cell)
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index++
+      row.push(cell)
+      rows.push(row)
+      row = []
+      cell = ''
+    } else {
+      cell += char
+    }
+  }
+  row.push(cell)
+  rows.push(row)
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''))
+}
+
+function importFieldFor(header) {
+  const name = header.trim().toLowerCase().replace(/\s*\(.*\)$/, '')
+  return Object.keys(IMPORT_FIELDS).find(field => IMPORT_FIELDS[field].aliases.includes(name))
+}
+
+// Number as written with the page's decimal separator, with or without
+// thousands separators ("1.234,5" or "1 234,5" on a German page). The other
+// separator counts as decimal point when it stands once and is not followed by
+// exactly three digits, so "12.5" still reads as 12.5. NaN for anything else.
+function parseLocaleNumber(text, decimal) {
+  let value = String(text ?? '').trim().replace(/[\s\u00a0\u202f'’]/g, '')
+  const other = decimal === ',' ? '.' : ','
+  const [whole, ...fraction] = value.split(decimal)
+  const parts = whole.split(other)
+  const grouped = parts.slice(1).every(group => /^\d{3}$/.test(group))
+
+  if (fraction.length) {
+    if (!grouped) return NaN
+    value = `${parts.join('')}.${fraction.join(decimal)}`
+  } else if (parts.length === 2 && !grouped) {
+    value = parts.join('.')
+  } else {
+    if (!grouped) return NaN
+    value = parts.join('')
+  }
+
+  return /^-?\d+(\.\d+)?$/.test(value) ? parseFloat(value) : NaN
+}
+
+// Spreadsheet exports are UTF-8 or, from older Excel versions, Windows-1252
+function decodeText(buffer) {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer).replace(/^\uFEFF/, '')
+  } catch {
+    return new TextDecoder('windows-1252').decode(buffer)
+  }
+}
+
+// "un 1203" => "1203"
+function normalizeUnNumber(value) {
+  return String(value ?? '').trim().replace(/^un\s*/i, '')
+}
+
+// Restriction for carriage in packages: "D/E" => "E", "-" => null
+function packageTunnelCode(code) {
+  const packages = String(code ?? '').split('/').pop().trim()
+  return packages && packages !== '-' ? packages : null
+}
+
+function closedTunnels(code) {
+  const index = TUNNEL_CATEGORIES.indexOf(code[0])
+  return index === -1 ? [] : TUNNEL_CATEGORIES.slice(index)
+}
+
+function strictestTunnelCode(codes) {
+  const rank = code => closedTunnels(code).length
+  return codes.map(packageTunnelCode).filter(Boolean).sort((a, b) => rank(b) - rank(a))[0] || null
+}
+
+// Same rule as Adr::DangerousGoods.compatible?
+function compatibleLabels(labels, otherLabels, rules) {
+  const allowed = (label, other) => (rules[label] || [other]).includes(other)
+  return labels.every(label => otherLabels.every(other => allowed(label, other) && allowed(other, label)))
 }
@@ -0,0 +1,101 @@
+import TranslatedController from "helpers/translated_controller"
+
+const SERVICE_WORKER_URL = '/service-worker.js'
+
+// Connects to data-controller="push-subscription"
+//
+// Opt-in for browser notifications (quotes ready, carrier offers). The toggle
+// registers the service worker (app/views/pwa/service-worker.js), asks for the
+// notification permission and subscribes with the VAPID public key from the
+// <meta name="web-push-public-key"> tag; the subscription is stored at `url`
+// (PushSubscriptionsController) and removed there when switched off. Hidden
+// in browsers without Web Push or when no key is configured.
+// Texts come from `translations` (push_subscription.* in config/locales).
+export default class extends TranslatedController {
+  static targets = ["button", "status"]
+  static values = { url: String }
+
+  async connect() {
+    const publicKey = document.querySelector('meta[name="web-push-public-key"]')?.content
+    if (!publicKey || !('serviceWorker' in navigator) || !('PushManager' in window) || !('Notification' in window)) return
+
+    this.publicKey = publicKey
+    try {
+      this.registration = await navigator.serviceWorker.register(SERVICE_WORKER_URL)
+      this.subscription = await this.registration.pushManager.getSubscription()
+    } catch {
+      // The browser refused the service worker: the toggle stays hidden
+      return
+    }
+
+    this.element.classList.remove('hidden')
+    this.render()
+  }
+
+  async toggle(event) {
+    event.preventDefault()
+    this.buttonTarget.disabled = true
+
+    try {
+      if (this.subscription) {
+        await this.unsubscribe()
+      } else {
+        await this.subscribe()
+      }
+    } catch {
+      this.statusTarget.textContent = this.t('failed')
+      this.buttonTarget.disabled = false
+      return
+    }
+
+    this.buttonTarget.disabled = false
+    this.render()
+  }
+
+  async subscribe() {
+    if (await Notification.requestPermission() !== 'granted') return
+
+    this.subscription = await this.registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(this.publicKey)
+    })
+    await this.request('POST', this.subscription)
+  }
+
+  async unsubscribe() {
+    const subscription = this.subscription
+    await this.request('DELETE', subscription)
+    await subscription.unsubscribe()
+    this.subscription = null
+  }
+
+  request(method, subscription) {
+    return fetch(this.urlValue, {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        Accept: "application/json",
+        "X-CSRF-Token": document.querySelector('meta[name="csrf-token"]')?.content
+      },
+      body: JSON.stringify({ push_subscription: subscription.toJSON() })
+    }).then(response => {
+      if (!response.ok) throw new Error(`Push subscription could not be saved (${response.status})`)
+    })
+  }
+
+  render() {
+    const denied = Notification.permission === 'denied'
+
+    this.buttonTarget.textContent = this.t(this.subscription ? 'disable' : 'enable')
+    this.buttonTarget.setAttribute('aria-pressed', Boolean(this.subscription))
+    this.buttonTarget.disabled = denied && !this.subscription
+    this.statusTarget.textContent = denied ? this.t('denied') : (this.subscription ? this.t('enabled') : '')
+  }
+}
+
+// VAPID keys are URL-safe base64, the Push API takes the raw bytes
+function urlBase64ToUint8Array(base64String) {
+  const padding = '='.repeat((4 - base64String.length % 4) % 4)
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/')
+  return Uint8Array.from(atob(base64), character => character.charCodeAt(0))
+}
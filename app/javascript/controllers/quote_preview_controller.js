@@ -0,0 +1,118 @@
+import TranslatedController from "helpers/translated_controller"
+
+// Connects to data-controller="quote-preview"
+//
+// Price sidebar next to the transport request form: after each change the
+// form is posted to `url` (customer/transport_requests#quote_preview, the same
+// Pricing::Calculator as the quote after submit) and the line items and total
+// are shown. Requests wait `delay` ms after the last input and a newer one
+// cancels the one still running, so only the latest form state is shown.
+// Fields in the hidden shipping mode panels are disabled and not sent.
+// Texts come from `translations` (quote_preview.* in config/locales).
+export default class extends TranslatedController {
+  static targets = ["lineItems", "total", "status"]
+  static values = {
+    url: String,
+    delay: { type: Number, default: 400 }
+  }
+
+  connect() {
+    this.form = this.element.querySelector('form')
+    if (!this.form) return
+
+    this.onChange = () => this.schedule()
+    this.form.addEventListener('input', this.onChange)
+    this.form.addEventListener('change', this.onChange)
+
+    this.refresh()
+  }
+
+  disconnect() {
+    clearTimeout(this.timeout)
+    this.request?.abort()
+    if (!this.form) return
+
+    this.form.removeEventListener('input', this.onChange)
+    this.form.removeEventListener('change', this.onChange)
+  }
+
+  schedule() {
+    clearTimeout(this.timeout)
+    this.timeout = setTimeout(() => this.refresh(), this.delayValue)
+  }
+
+  async refresh() {
+    this.request?.abort()
+
+    const body = new FormData(this.form)
+    // The edit form is a PATCH; the preview route only takes POST
+    body.delete('_method')
+
+    if (!readyForPricing(body)) {
+      this.showPrice(null, this.t('incomplete'))
+      return
+    }
+
+    const request = new AbortController()
+    this.request = request
+    this.statusTarget.textContent = this.t('loading')
+    this.element.setAttribute('aria-busy', 'true')
+
+    try {
+      const response = await fetch(this.urlValue, {
+        method: 'POST',
+        body,
+        headers: {
+          Accept: 'application/json',
+          'X-CSRF-Token': document.querySelector('meta[name="csrf-token"]')?.content
+        },
+        signal: request.signal
+      })
+      const result = await response.json()
+      this.showPrice(response.ok ? result : null, response.ok ? '' : this.t('unavailable'))
+    } catch (error) {
+      if (error.name === 'AbortError') return
+      this.showPrice(null, this.t('unavailable'))
+    } finally {
+      if (this.request === request) this.element.removeAttribute('aria-busy')
+    }
+  }
+
+  showPrice(quote, status) {
+    this.statusTarget.textContent = quote ? this.t('distance', { distance: this.formatNumber(quote.distance_km) }) : status
+    this.lineItemsTarget.innerHTML = ''
+    this.totalTarget.textContent = quote ? this.formatPrice(quote.total_price, quote.currency) : '–'
+    if (!quote) return
+
+    quote.line_items.forEach(item => {
+      const row = document.createElement('div')
+      row.className = 'flex justify-between items-start gap-3'
+      row.innerHTML = `
+        <div class="min-w-0">
+          <p class="text-gray-900"></p>
+          <p class="text-xs text-gray-500"></p>
+        </div>
+        <p class="font-medium text-gray-900 whitespace-nowrap"></p>
+      `
+      const [description, calculation, amount] = row.querySelectorAll('p')
+      description.textContent = item.description
+      calculation.textContent = item.calculation || ''
+      amount.textContent = this.formatPrice(item.amount, quote.currency)
+      this.lineItemsTarget.appendChild(row)
+    })
+  }
+
+  formatNumber(value) {
+    return new Intl.NumberFormat(this.locale).format(value)
+  }
+
+  formatPrice(amount, currency) {
+    return new Intl.NumberFormat(this.locale, { style: 'currency', currency }).format(amount)
+  }
+}
+
+// Pricing needs both addresses located, a vehicle and a pickup date
+function readyForPricing(formData) {
+  return ['start_latitude', 'destination_latitude', 'vehicle_type', 'pickup_date_from']
+    .every(name => formData.get(`transport_request[${name}]`))
+}
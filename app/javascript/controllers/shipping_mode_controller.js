@@ -1,13 +1,43 @@
-import { Controller } from "@hotwired/stimulus"
+import TranslatedController from "helpers/translated_controller"
+import { escapeHtml } from "helpers/html"
+
+const MODES = ['packages', 'loading_meters', 'vehicle_booking']
+const URL_PARAM = 'shipping_mode'
 
 // Connects to data-controller="shipping-mode"
-export default class extends Controller {
-  static targets = ["panel", "modeInput", "tab"]
+//
+// Panels are <fieldset>s: the hidden ones are disabled, so their inputs are
+// neither submitted nor validated but keep what was entered for when the
+// customer switches back. The chosen mode is kept in the URL (?shipping_mode=)
+// so a reload shows the same panel.
+//
+// Before submit the visible panel is checked: its fields' own constraints
+// (required, max, ...) plus what the markup cannot express (at least one
+// package row, a chosen vehicle), listed together in `errors`. To show them as
+// one list this controller takes over the form's validation; fields outside
+// the panels still get the browser's message.
+export default class extends TranslatedController {
+  static targets = ["panel", "modeInput", "tab", "errors"]
   static values = { defaultMode: String }
 
   connect() {
-    const mode = this.defaultModeValue || 'packages'
+    const requested = new URL(window.location.href).searchParams.get(URL_PARAM)
+    const mode = MODES.includes(requested) ? requested : (this.defaultModeValue || 'packages')
     this.showMode(mode)
+
+    this.form = this.element.closest('form')
+    if (!this.form) return
+
+    this.onSubmit = event => this.validate(event)
+    this.form.noValidate = true
+    this.form.addEventListener('submit', this.onSubmit)
+  }
+
+  disconnect() {
+    if (!this.form) return
+
+    this.form.noValidate = false
+    this.form.removeEventListener('submit', this.onSubmit)
   }
 
   switch(event) {
@@ -16,19 +46,37 @@ export default class extends Controller {
     this.showMode(mode)
   }
 
+  // One-click switch from the package calculator's vehicle suggestion
+  selectVehicle(event) {
+    this.showMode('vehicle_booking')
+
+    const radio = this.element.querySelector(`input[type="radio"][name$="[vehicle_type]"][value="${event.detail.vehicleType}"]`)
+    if (radio) {
+      radio.checked = true
+      radio.dispatchEvent(new Event('change', { bubbles: true }))
+    }
+  }
+
+  // A restored form draft (form-draft) wrote the mode input
+  restoreDraft() {
+    this.showMode(this.mode || 'packages')
+  }
+
+  get mode() {
+    return this.hasModeInputTarget ? this.modeInputTarget.value : this.defaultModeValue
+  }
+
   showMode(mode) {
     // Update hidden field
     if (this.hasModeInputTarget) {
       this.modeInputTarget.value = mode
     }
 
-    // Show/hide panels
+    // Show the panel, disable the others (values stay, nothing is submitted)
     this.panelTargets.forEach(panel => {
-      if (panel.dataset.mode === mode) {
-        panel.classList.remove('hidden')
-      } else {
-        panel.classList.add('hidden')
-      }
+      const active = panel.dataset.mode === mode
+      panel.classList.toggle('hidden', !active)
+      panel.disabled = !active
     })
 
     // Update tab styling
@@ -40,6 +88,69 @@ export default class extends Controller {
         tab.classList.remove('border-blue-600', 'text-blue-600')
         tab.classList.add('border-transparent', 'text-gray-500')
       }
+      tab.setAttribute('aria-pressed', tab.dataset.mode === mode)
     })
+
+    this.showErrors([])
+    this.rememberMode(mode)
   }
+
+  // Keep Turbo's history state, only the query changes
+  rememberMode(mode) {
+    const url = new URL(window.location.href)
+    if (url.searchParams.get(URL_PARAM) === mode) return
+
+    url.searchParams.set(URL_PARAM, mode)
+    window.history.replaceState(window.history.state, '', url)
+  }
+
+  // Disabled panels are skipped by willValidate
+  validate(event) {
+    const panel = this.panelTargets.find(panel => panel.dataset.mode === this.mode)
+    const messages = panel ? this.modeErrors(panel) : []
+    const invalid = Array.from(this.form.elements).filter(field => field.willValidate && !field.checkValidity())
+
+    invalid.filter(field => this.element.contains(field)).forEach(field => {
+      const label = fieldLabel(field)
+      messages.push(label ? `${label}: ${field.validationMessage}` : field.validationMessage)
+    })
+    this.showErrors(messages)
+    if (messages.length === 0 && invalid.length === 0) return
+
+    event.preventDefault()
+    if (invalid[0]) invalid[0].reportValidity()
+    else if (this.hasErrorsTarget) this.errorsTarget.scrollIntoView({ block: 'center', behavior: 'smooth' })
+  }
+
+  // Requirements the inputs' own constraints cannot express
+  modeErrors(panel) {
+    switch (this.mode) {
+      case 'packages': {
+        const rows = Array.from(panel.querySelectorAll('.package-item')).filter(row => row.style.display !== 'none')
+        return rows.length ? [] : [this.t('packages_missing')]
+      }
+      case 'vehicle_booking':
+        return panel.querySelector('input[name$="[vehicle_type]"]:checked') ? [] : [this.t('vehicle_missing')]
+      default:
+        return []
+    }
+  }
+
+  showErrors(messages) {
+    if (!this.hasErrorsTarget) return
+
+    this.errorsTarget.classList.toggle('hidden', messages.length === 0)
+    this.errorsTarget.innerHTML = messages.length === 0 ? '' : `
+      <p class="font-medium">${escapeHtml(this.t('errors_heading'))}</p>
+      <ul class="mt-1 list-disc list-inside">
+        ${[...new Set(messages)].map(message => `<li>${escapeHtml(message)}</li>`).join('')}
+      </ul>
+    `
+  }
+}
+
+// Text of the field's <label>, without the required marker
+function fieldLabel(field) {
+  const label = field.labels?.[0] || field.closest('div')?.querySelector('label')
+  return label?.textContent.replace('*', '').replace(/\s+/g, ' ').trim()
 }
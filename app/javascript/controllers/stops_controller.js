@@ -0,0 +1,163 @@
+import TranslatedController from "helpers/translated_controller"
+
+// Intermediate stops (milk runs) between pickup and delivery
+// Connects to data-controller="stops"
+//
+// Each stop row carries its own address-autocomplete controller. Rows are
+// reordered by dragging the handle (or Arrow Up/Down on the focused handle);
+// the hidden position fields follow the visible order. A restored form draft
+// (form-draft) brings back its rows and their order. Every change of the
+// route (rows, order, stop coordinates) is announced as stops:changed.
+export default class extends TranslatedController {
+  static targets = ["template", "container", "empty"]
+
+  connect() {
+    this.renumber()
+  }
+
+  add(event) {
+    event.preventDefault()
+    this.appendRow(new Date().getTime())
+    this.renumber()
+
+    this.visibleItems().at(-1)?.querySelector('[data-address-autocomplete-target="input"]')?.focus()
+  }
+
+  appendRow(index) {
+    const content = this.templateTarget.innerHTML.replace(/NEW_RECORD/g, index)
+    this.containerTarget.insertAdjacentHTML('beforeend', content)
+  }
+
+  remove(event) {
+    event.preventDefault()
+    const item = event.target.closest('.stop-item')
+
+    // Mark for deletion if persisted
+    const destroyInput = item.querySelector('input[name*="_destroy"]')
+    if (destroyInput) {
+      destroyInput.value = '1'
+      item.style.display = 'none'
+    } else {
+      item.remove()
+    }
+
+    this.renumber()
+  }
+
+  // Drag & drop reordering. Rows are only draggable while the handle is
+  // pressed, so text in the inputs can still be selected with the mouse.
+
+  grab(event) {
+    event.target.closest('.stop-item').draggable = true
+  }
+
+  release(event) {
+    event.target.closest('.stop-item').draggable = false
+  }
+
+  dragStart(event) {
+    this.draggedItem = event.target.closest('.stop-item')
+    event.dataTransfer.effectAllowed = 'move'
+    // Firefox only starts a drag when data is set
+    event.dataTransfer.setData('text/plain', '')
+    this.draggedItem.classList.add('opacity-50')
+  }
+
+  dragOver(event) {
+    if (!this.draggedItem) return
+    event.preventDefault()
+
+    const target = event.target.closest('.stop-item')
+    if (!target || target === this.draggedItem) return
+
+    const { top, height } = target.getBoundingClientRect()
+    const after = event.clientY > top + height / 2
+    target.parentNode.insertBefore(this.draggedItem, after ? target.nextSibling : target)
+  }
+
+  drop(event) {
+    event.preventDefault()
+  }
+
+  dragEnd() {
+    if (!this.draggedItem) return
+
+    this.draggedItem.classList.remove('opacity-50')
+    this.draggedItem.draggable = false
+    this.draggedItem = null
+    this.renumber()
+  }
+
+  moveWithKeyboard(event) {
+    if (event.key !== 'ArrowUp' && event.key !== 'ArrowDown') return
+    event.preventDefault()
+
+    const item = event.target.closest('.stop-item')
+    const items = this.visibleItems()
+    const index = items.indexOf(item)
+
+    if (event.key === 'ArrowUp' && index > 0) {
+      items[index - 1].before(item)
+    } else if (event.key === 'ArrowDown' && index < items.length - 1) {
+      items[index + 1].after(item)
+    } else {
+      return
+    }
+
+    event.target.focus()
+    this.renumber()
+  }
+
+  // address-autocomplete announces picked places and moved pins as change events
+  coordinatesChanged(event) {
+    if (event.target.matches('[data-address-autocomplete-target="latitude"], [data-address-autocomplete-target="longitude"]')) {
+      this.dispatch('changed')
+    }
+  }
+
+  // Form draft (form-draft): rows of the draft the page does not have yet
+  restoreRows(event) {
+    const indexes = new Set(event.detail.names.map(name => name.match(/\[stops_attributes\]\[(\d+)\]/)?.[1]).filter(Boolean))
+
+    indexes.forEach(index => {
+      if (!this.containerTarget.querySelector(`[name*="[stops_attributes][${index}]"]`)) this.appendRow(index)
+    })
+  }
+
+  // Removed stops stay hidden, the others follow their restored positions
+  restoreDraft() {
+    const items = Array.from(this.containerTarget.querySelectorAll('.stop-item'))
+    items.forEach(item => {
+      if (item.querySelector('input[name*="_destroy"]')?.value === '1') item.style.display = 'none'
+    })
+
+    const position = item => parseInt(item.querySelector('input[name*="[position]"]')?.value) || Infinity
+    this.visibleItems().sort((a, b) => position(a) - position(b)).forEach(item => this.containerTarget.appendChild(item))
+    this.renumber()
+  }
+
+  renumber() {
+    const items = this.visibleItems()
+
+    items.forEach((item, index) => {
+      const positionInput = item.querySelector('input[name*="[position]"]')
+      if (positionInput) positionInput.value = index + 1
+
+      const number = item.querySelector('.stop-number')
+      if (number) number.textContent = index + 1
+
+      const handle = item.querySelector('.stop-handle')
+      if (handle) handle.setAttribute('aria-label', this.t('move_stop', { number: index + 1, count: items.length }))
+    })
+
+    if (this.hasEmptyTarget) {
+      this.emptyTarget.classList.toggle('hidden', items.length > 0)
+    }
+
+    this.dispatch('changed')
+  }
+
+  visibleItems() {
+    return Array.from(this.containerTarget.querySelectorAll('.stop-item:not([style*="display: none"])'))
+  }
+}
@@ -0,0 +1,134 @@
+import TranslatedController from "helpers/translated_controller"
+import { formWaypoints, roadDistanceKm } from "maps/route_distance"
+
+// A picked place writes its coordinates and country one after the other
+const ROUTE_DELAY_MS = 300
+
+// Connects to data-controller="vehicle-booking"
+//
+// Vehicle cards are labels around sr-only radio buttons; this controller
+// highlights the checked card (`selected` class), greys out and disables the
+// vehicles whose max. weight is below the entered cargo weight (`unavailable`
+// class) and shows an estimated price per card: price per km × road distance.
+// The road route runs from the pickup address along the stops to the delivery
+// address (`pickupAddress`/`deliveryAddress` element ids, maps/route_distance)
+// and is measured again when an address or a stop changes (stops:changed);
+// `distanceKm`, the stored distance of an existing request, stands in until then.
+// Texts come from `translations` (vehicle_booking.* in config/locales).
+export default class extends TranslatedController {
+  static targets = ["card", "weight", "estimate", "distance", "notice"]
+  static classes = ["selected", "unavailable"]
+  static values = {
+    pickupAddress: String,
+    deliveryAddress: String,
+    distanceKm: Number,
+    currency: { type: String, default: 'EUR' }
+  }
+
+  connect() {
+    this.onAddressChange = () => this.updateRoute()
+    this.addressElements().forEach(element => element.addEventListener('change', this.onAddressChange))
+
+    this.roadKm = this.distanceKmValue
+    this.routeRequest = 0
+    this.update()
+    this.updateRoute()
+  }
+
+  disconnect() {
+    clearTimeout(this.routeTimer)
+    this.addressElements().forEach(element => element.removeEventListener('change', this.onAddressChange))
+  }
+
+  update() {
+    const weight = (this.hasWeightTarget && parseFloat(this.weightTarget.value)) || 0
+    const distanceKm = this.roadKm
+    let dropped = null
+
+    this.cardTargets.forEach(card => {
+      const radio = this.radio(card)
+      const maxWeight = parseFloat(card.dataset.maxWeight)
+      const tooSmall = weight > maxWeight
+
+      // A vehicle that became too small is not booked behind the customer's back
+      if (tooSmall && radio.checked) {
+        radio.checked = false
+        dropped = { name: card.dataset.name, maxWeight }
+      }
+      radio.disabled = tooSmall
+
+      this.toggleClasses(card, this.unavailableClasses, tooSmall)
+      this.toggleClasses(card, this.selectedClasses, radio.checked)
+      card.querySelector('[data-vehicle-booking-check]')?.classList.toggle('hidden', !radio.checked)
+      card.setAttribute('title', tooSmall ? this.t('too_heavy', { max: this.formatNumber(maxWeight), weight: this.formatNumber(weight) }) : '')
+
+      this.updateEstimate(card, distanceKm)
+    })
+
+    this.distanceTargets.forEach(element => {
+      element.textContent = distanceKm
+        ? this.t('distance', { distance: this.formatNumber(Math.round(distanceKm)) })
+        : this.t('distance_missing')
+    })
+
+    if (this.hasNoticeTarget) {
+      if (dropped) {
+        this.noticeTarget.textContent = this.t('deselected', { vehicle: dropped.name, max: this.formatNumber(dropped.maxWeight) })
+      } else if (this.cardTargets.some(card => this.radio(card).checked)) {
+        this.noticeTarget.textContent = ''
+      }
+      this.noticeTarget.classList.toggle('hidden', this.noticeTarget.textContent === '')
+    }
+  }
+
+  updateEstimate(card, distanceKm) {
+    const estimate = card.querySelector('[data-vehicle-booking-target="estimate"]')
+    if (!estimate) return
+
+    const pricePerKm = parseFloat(card.dataset.pricePerKm)
+    estimate.classList.toggle('hidden', !distanceKm)
+    estimate.textContent = distanceKm ? this.t('estimate', { price: this.formatPrice(distanceKm * pricePerKm) }) : ''
+  }
+
+  radio(card) {
+    return card.querySelector('input[type="radio"]')
+  }
+
+  toggleClasses(element, classes, force) {
+    classes.forEach(name => element.classList.toggle(name, force))
+  }
+
+  updateRoute() {
+    clearTimeout(this.routeTimer)
+    this.routeTimer = setTimeout(() => this.measureRoute(), ROUTE_DELAY_MS)
+  }
+
+  // Road km from pickup along the stops to delivery; the stored distance until both ends have coordinates
+  async measureRoute() {
+    const request = ++this.routeRequest
+    const points = formWaypoints(this.addressElement(this.pickupAddressValue), this.addressElement(this.deliveryAddressValue))
+    const roadKm = points ? await roadDistanceKm(points) : this.distanceKmValue
+
+    // Ignore routes that arrive after the addresses changed again
+    if (request !== this.routeRequest) return
+
+    this.roadKm = roadKm
+    this.update()
+  }
+
+  addressElements() {
+    return [this.pickupAddressValue, this.deliveryAddressValue].map(id => this.addressElement(id)).filter(Boolean)
+  }
+
+  addressElement(id) {
+    return id && document.getElementById(id)
+  }
+
+  formatNumber(value) {
+    return new Intl.NumberFormat(this.locale).format(value)
+  }
+
+  formatPrice(amount) {
+    return new Intl.NumberFormat(this.locale, { style: 'currency', currency: this.currencyValue, maximumFractionDigits: 0 }).format(amount)
+  }
+}
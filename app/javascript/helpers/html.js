@@ -0,0 +1,6 @@
+// Text for interpolation into innerHTML templates
+export function escapeHtml(text) {
+  const div = document.createElement("div")
+  div.textContent = text
+  return div.innerHTML
+}
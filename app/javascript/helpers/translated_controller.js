@@ -0,0 +1,18 @@
+import { Controller } from "@hotwired/stimulus"
+
+// Base for controllers whose texts come from a `translations` value, a section
+// of config/locales rendered as JSON (e.g. t('map').to_json).
+// t() fills in %{name} placeholders like I18n and returns the key while it is
+// missing; dates and numbers are formatted for `locale`, the page language.
+export default class extends Controller {
+  static values = { translations: Object }
+
+  get locale() {
+    return document.documentElement.lang || navigator.language
+  }
+
+  t(key, params = {}) {
+    const text = this.translationsValue[key] || key
+    return text.replace(/%\{(\w+)\}/g, (_, name) => params[name] ?? '')
+  }
+}
@@ -0,0 +1,217 @@
+// Google Maps JavaScript API + Places backend
+const MARKER_ICONS = {
+  green: "https://maps.google.com/mapfiles/ms/icons/green-dot.png",
+  red: "https://maps.google.com/mapfiles/ms/icons/red-dot.png",
+  blue: "https://maps.google.com/mapfiles/ms/icons/blue-dot.png"
+}
+
+const PLACE_FIELDS = ["address_components", "geometry", "formatted_address", "name", "types"]
+
+// componentRestrictions accepts at most five countries. Longer lists are not
+// sent with the request; callers check the selected place's country instead.
+const MAX_RESTRICTED_COUNTRIES = 5
+
+export default class GoogleMapsProvider {
+  constructor({ apiKey }) {
+    this.apiKey = apiKey
+  }
+
+  load() {
+    if (typeof google !== "undefined" && google.maps && google.maps.places) {
+      return Promise.resolve()
+    }
+
+    return new Promise((resolve, reject) => {
+      // Called by the SDK when the API key is missing, invalid or not authorized
+      window.gm_authFailure = () => reject(new Error("Google Maps rejected the API key"))
+
+      const script = document.createElement("script")
+      script.src = `https://maps.googleapis.com/maps/api/js?key=${this.apiKey}&libraries=places`
+      script.addEventListener("load", () => resolve())
+      script.addEventListener("error", () => reject(new Error("Google Maps could not be loaded")))
+      document.head.appendChild(script)
+    })
+  }
+
+  // Maps
+
+  createMap(element, { center, zoom = 6 } = {}) {
+    return new google.maps.Map(element, {
+      center,
+      zoom,
+      mapTypeControl: false,
+      streetViewControl: false,
+      fullscreenControl: true,
+      zoomControl: true
+    })
+  }
+
+  removeMap(map) {
+    google.maps.event.clearInstanceListeners(map)
+    map.getDiv().innerHTML = ""
+  }
+
+  refresh(map) {
+    google.maps.event.trigger(map, "resize")
+  }
+
+  addMarker(map, { position, title, label, color, draggable = false }) {
+    return new google.maps.Marker({
+      position,
+      map,
+      title,
+      label,
+      draggable,
+      icon: MARKER_ICONS[color] ? { url: MARKER_ICONS[color] } : undefined
+    })
+  }
+
+  moveMarker(marker, position) {
+    marker.setPosition(position)
+  }
+
+  onMarkerDragEnd(marker, callback) {
+    marker.addListener("dragend", event => {
+      callback({ lat: event.latLng.lat(), lng: event.latLng.lng() })
+    })
+  }
+
+  removeLayer(map, layer) {
+    layer.setMap(null)
+  }
+
+  addPolyline(map, path, { color = "#2563EB", geodesic = true } = {}) {
+    return new google.maps.Polyline({
+      path,
+      geodesic,
+      strokeColor: color,
+      strokeOpacity: 0.7,
+      strokeWeight: 3,
+      map
+    })
+  }
+
+  addCircle(map, { center, radiusKm, color = "#3B82F6" }) {
+    return new google.maps.Circle({
+      map,
+      center,
+      radius: radiusKm * 1000,
+      strokeColor: color,
+      strokeOpacity: 0.8,
+      strokeWeight: 2,
+      fillColor: color,
+      fillOpacity: 0.15
+    })
+  }
+
+  fitBounds(map, positions) {
+    const bounds = new google.maps.LatLngBounds()
+    positions.forEach(position => bounds.extend(position))
+    map.fitBounds(bounds)
+  }
+
+  fitCircle(map, circle) {
+    map.fitBounds(circle.getBounds())
+  }
+
+  setView(map, position, zoom) {
+    map.setCenter(position)
+    if (zoom) map.setZoom(zoom)
+  }
+
+  // Places
+
+  newSession() {
+    return new google.maps.places.AutocompleteSessionToken()
+  }
+
+  searchPlaces(query, { countries, types, bias, session } = {}) {
+    this.autocompleteService ||= new google.maps.places.AutocompleteService()
+
+    const request = { input: query, sessionToken: session }
+    if (countries?.length && countries.length <= MAX_RESTRICTED_COUNTRIES) {
+      request.componentRestrictions = { country: countries }
+    }
+    if (types?.length) request.types = types
+    if (bias) request.locationBias = { center: { lat: bias.lat, lng: bias.lng }, radius: bias.radiusKm * 1000 }
+
+    return new Promise(resolve => {
+      this.autocompleteService.getPlacePredictions(request, predictions => {
+        resolve((predictions || []).map(prediction => ({
+          id: prediction.place_id,
+          description: prediction.description
+        })))
+      })
+    })
+  }
+
+  placeDetails(suggestion, { session } = {}) {
+    this.placesService ||= new google.maps.places.PlacesService(document.createElement("div"))
+
+    return new Promise((resolve, reject) => {
+      this.placesService.getDetails({ placeId: suggestion.id, fields: PLACE_FIELDS, sessionToken: session }, (place, status) => {
+        if (status === google.maps.places.PlacesServiceStatus.OK && place?.geometry) {
+          resolve(normalizePlace(place))
+        } else {
+          reject(new Error(`Place details failed: ${status}`))
+        }
+      })
+    })
+  }
+
+  async reverseGeocode(position) {
+    this.geocoder ||= new google.maps.Geocoder()
+
+    const { results } = await this.geocoder.geocode({ location: position })
+    return results?.length ? normalizePlace(results[0]) : null
+  }
+
+  // Directions
+
+  async route(waypoints) {
+    this.directionsService ||= new google.maps.DirectionsService()
+
+    const [origin, ...rest] = waypoints
+    const destination = rest.pop()
+    const result = await this.directionsService.route({
+      origin,
+      destination,
+      waypoints: rest.map(location => ({ location, stopover: true })),
+      travelMode: google.maps.TravelMode.DRIVING
+    })
+
+    const route = result.routes[0]
+    const legs = route.legs.map(leg => ({
+      distanceKm: leg.distance.value / 1000,
+      durationMinutes: leg.duration.value / 60
+    }))
+
+    return {
+      path: route.overview_path.map(point => ({ lat: point.lat(), lng: point.lng() })),
+      distanceKm: legs.reduce((sum, leg) => sum + leg.distanceKm, 0),
+      durationMinutes: legs.reduce((sum, leg) => sum + leg.durationMinutes, 0),
+      legs
+    }
+  }
+}
+
+function normalizePlace(place) {
+  const components = {}
+  place.address_components?.forEach(component => {
+    const types = component.types
+    if (types.includes("street_number")) components.streetNumber = component.long_name
+    if (types.includes("route")) components.street = component.long_name
+    if (types.includes("locality")) components.city = component.long_name
+    if (types.includes("administrative_area_level_1")) components.state = component.long_name
+    if (types.includes("postal_code")) components.postalCode = component.long_name
+    if (types.includes("country")) components.country = component.short_name
+  })
+
+  return {
+    formattedAddress: place.formatted_address,
+    name: place.name,
+    isEstablishment: !!(place.types?.includes("establishment") || place.types?.includes("point_of_interest")),
+    location: { lat: place.geometry.location.lat(), lng: place.geometry.location.lng() },
+    components
+  }
+}
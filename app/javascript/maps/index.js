@@ -0,0 +1,81 @@
+// Map & Geocoding Provider Layer
+//
+// Controllers never talk to google.maps or Leaflet directly. They ask for the
+// provider configured by <meta name="map-provider"> and use its API:
+//
+//   createMap(element, { center, zoom })      removeMap(map)
+//   addMarker(map, { position, title, label, color, draggable })
+//   moveMarker(marker, position)              removeLayer(map, layer)
+//   onMarkerDragEnd(marker, callback)         callback receives { lat, lng }
+//   addPolyline(map, path, { color })         addCircle(map, { center, radiusKm, color })
+//   fitBounds(map, positions)                 fitCircle(map, circle)
+//   setView(map, position, zoom)              refresh(map)
+//   newSession()                              searchPlaces(query, { countries, types, bias, session })
+//   placeDetails(suggestion, { session })     reverseGeocode(position)  -> place or null
+//   route(waypoints)                          -> { path, distanceKm, durationMinutes, legs }
+//
+// countries are ISO codes, types "address" or "establishment", bias a
+// { lat, lng, radiusKm } circle that ranks nearby results first.
+//
+// Places are normalized to:
+//   { formattedAddress, name, isEstablishment, location: { lat, lng },
+//     components: { street, streetNumber, city, state, postalCode, country } }
+
+const PROVIDERS = {
+  google: () => import("maps/google_provider"),
+  osm: () => import("maps/osm_provider")
+}
+
+// A blocked or very slow SDK must not leave the page waiting forever
+const LOAD_TIMEOUT_MS = 10000
+
+let providerPromise = null
+
+export class MapLoadError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = "MapLoadError"
+  }
+}
+
+// Resolves with the loaded provider. The SDK is only loaded once per page,
+// no matter how many controllers ask for it. Rejects with a MapLoadError when
+// the SDK fails to load or does not become ready within LOAD_TIMEOUT_MS.
+export function mapProvider() {
+  if (!providerPromise) {
+    const name = mapConfig("map-provider") || "google"
+    const importProvider = PROVIDERS[name] || PROVIDERS.google
+
+    const loading = importProvider().then(async ({ default: Provider }) => {
+      const provider = new Provider({
+        apiKey: mapConfig("google-maps-api-key"),
+        tileUrl: mapConfig("map-tile-url"),
+        geocoderUrl: mapConfig("map-geocoder-url"),
+        routerUrl: mapConfig("map-router-url")
+      })
+      await provider.load()
+      return provider
+    })
+
+    providerPromise = withTimeout(loading, LOAD_TIMEOUT_MS).catch(error => {
+      // Forget the failure so the next map on the page tries again
+      providerPromise = null
+      throw error instanceof MapLoadError ? error : new MapLoadError(error.message)
+    })
+  }
+
+  return providerPromise
+}
+
+export function mapConfig(name) {
+  return document.querySelector(`meta[name="${name}"]`)?.content
+}
+
+function withTimeout(promise, ms) {
+  let timer
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new MapLoadError(`Map provider did not load within ${ms / 1000}s`)), ms)
+  })
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer))
+}
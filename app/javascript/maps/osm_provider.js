@@ -0,0 +1,194 @@
+// OpenStreetMap backend: Leaflet for rendering, a Nominatim-compatible
+// endpoint for geocoding and an OSRM-compatible endpoint for routing
+// (public, self-hosted or stubbed).
+const DEFAULT_TILE_URL = "https://tile.openstreetmap.org/{z}/{x}/{y}.png"
+const DEFAULT_GEOCODER_URL = "https://nominatim.openstreetmap.org"
+const DEFAULT_ROUTER_URL = "https://router.project-osrm.org"
+const ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+
+const MARKER_CLASSES = {
+  green: "bg-green-600",
+  red: "bg-red-600",
+  blue: "bg-blue-600"
+}
+
+export default class OpenStreetMapProvider {
+  constructor({ tileUrl, geocoderUrl, routerUrl }) {
+    this.tileUrl = tileUrl || DEFAULT_TILE_URL
+    this.geocoderUrl = (geocoderUrl || DEFAULT_GEOCODER_URL).replace(/\/$/, "")
+    this.routerUrl = (routerUrl || DEFAULT_ROUTER_URL).replace(/\/$/, "")
+  }
+
+  async load() {
+    this.L = await import("leaflet")
+  }
+
+  // Maps
+
+  createMap(element, { center, zoom = 6 } = {}) {
+    const map = this.L.map(element)
+    this.L.tileLayer(this.tileUrl, { attribution: ATTRIBUTION, maxZoom: 19 }).addTo(map)
+    if (center) map.setView(center, zoom)
+    return map
+  }
+
+  removeMap(map) {
+    map.remove()
+  }
+
+  refresh(map) {
+    map.invalidateSize()
+  }
+
+  addMarker(map, { position, title, label, color = "blue", draggable = false }) {
+    const icon = this.L.divIcon({
+      className: "",
+      iconSize: [28, 28],
+      iconAnchor: [14, 14],
+      html: `<span class="flex items-center justify-center w-7 h-7 rounded-full text-white text-xs font-bold ring-2 ring-white shadow ${MARKER_CLASSES[color] || MARKER_CLASSES.blue}">${label || ""}</span>`
+    })
+
+    return this.L.marker(position, { icon, title, draggable }).addTo(map)
+  }
+
+  moveMarker(marker, position) {
+    marker.setLatLng(position)
+  }
+
+  onMarkerDragEnd(marker, callback) {
+    marker.on("dragend", () => {
+      const { lat, lng } = marker.getLatLng()
+      callback({ lat, lng })
+    })
+  }
+
+  removeLayer(map, layer) {
+    map.removeLayer(layer)
+  }
+
+  // Leaflet draws straight segments only; `geodesic` is accepted for API parity
+  addPolyline(map, path, { color = "#2563EB" } = {}) {
+    return this.L.polyline(path, { color, opacity: 0.7, weight: 3 }).addTo(map)
+  }
+
+  addCircle(map, { center, radiusKm, color = "#3B82F6" }) {
+    return this.L.circle(center, {
+      radius: radiusKm * 1000,
+      color,
+      opacity: 0.8,
+      weight: 2,
+      fillColor: color,
+      fillOpacity: 0.15
+    }).addTo(map)
+  }
+
+  fitBounds(map, positions) {
+    map.fitBounds(this.L.latLngBounds(positions), { padding: [24, 24] })
+  }
+
+  // Circle#getBounds needs a rendered map, so derive the bounds from the radius
+  fitCircle(map, circle) {
+    map.fitBounds(circle.getLatLng().toBounds(circle.getRadius() * 2))
+  }
+
+  setView(map, position, zoom) {
+    map.setView(position, zoom || map.getZoom())
+  }
+
+  // Places
+
+  newSession() {
+    return null
+  }
+
+  async searchPlaces(query, { countries, types, bias } = {}) {
+    const params = new URLSearchParams({
+      q: query,
+      format: "jsonv2",
+      addressdetails: "1",
+      limit: "5",
+      "accept-language": document.documentElement.lang || navigator.language
+    })
+    if (countries?.length) params.set("countrycodes", countries.join(",").toLowerCase())
+    if (types?.includes("establishment")) params.set("layer", "poi")
+    else if (types?.includes("address")) params.set("layer", "address")
+    // Results inside the viewbox rank higher without excluding the rest
+    if (bias) params.set("viewbox", biasViewbox(bias))
+
+    const response = await fetch(`${this.geocoderUrl}/search?${params}`, { headers: { Accept: "application/json" } })
+    if (!response.ok) return []
+
+    const results = await response.json()
+    return results.map(result => ({
+      id: String(result.place_id),
+      description: result.display_name,
+      place: normalizePlace(result)
+    }))
+  }
+
+  // Nominatim returns full details with every search result
+  placeDetails(suggestion) {
+    return Promise.resolve(suggestion.place)
+  }
+
+  async reverseGeocode({ lat, lng }) {
+    const params = new URLSearchParams({
+      lat,
+      lon: lng,
+      format: "jsonv2",
+      addressdetails: "1",
+      "accept-language": document.documentElement.lang || navigator.language
+    })
+
+    const response = await fetch(`${this.geocoderUrl}/reverse?${params}`, { headers: { Accept: "application/json" } })
+    if (!response.ok) return null
+
+    const result = await response.json()
+    return result.error ? null : normalizePlace(result)
+  }
+
+  // Directions
+
+  async route(waypoints) {
+    const coordinates = waypoints.map(({ lat, lng }) => `${lng},${lat}`).join(";")
+    const response = await fetch(`${this.routerUrl}/route/v1/driving/${coordinates}?overview=full&geometries=geojson`)
+    if (!response.ok) throw new Error(`Routing failed: HTTP ${response.status}`)
+
+    const { code, routes } = await response.json()
+    if (code !== "Ok" || !routes?.length) throw new Error(`Routing failed: ${code}`)
+
+    const route = routes[0]
+    return {
+      path: route.geometry.coordinates.map(([lng, lat]) => ({ lat, lng })),
+      distanceKm: route.distance / 1000,
+      durationMinutes: route.duration / 60,
+      legs: route.legs.map(leg => ({ distanceKm: leg.distance / 1000, durationMinutes: leg.duration / 60 }))
+    }
+  }
+}
+
+function normalizePlace(result) {
+  const address = result.address || {}
+
+  return {
+    formattedAddress: result.display_name,
+    name: result.name,
+    isEstablishment: !["building", "highway", "place", "boundary"].includes(result.category) && !!result.name,
+    location: { lat: parseFloat(result.lat), lng: parseFloat(result.lon) },
+    components: {
+      street: address.road || address.pedestrian,
+      streetNumber: address.house_number,
+      city: address.city || address.town || address.village || address.municipality,
+      state: address.state,
+      postalCode: address.postcode,
+      country: address.country_code?.toUpperCase()
+    }
+  }
+}
+
+// Bounding box "west,north,east,south" around the bias circle
+function biasViewbox({ lat, lng, radiusKm }) {
+  const latDelta = radiusKm / 111.32
+  const lngDelta = radiusKm / (111.32 * Math.cos(lat * Math.PI / 180))
+  return [lng - lngDelta, lat + latDelta, lng + lngDelta, lat - latDelta].join(",")
+}
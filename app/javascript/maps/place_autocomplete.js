@@ -0,0 +1,207 @@
+// Provider-agnostic place suggestion dropdown for an address <input>.
+// Renders the provider's suggestions as a listbox below the input and calls
+// onSelect with the normalized place once the user picks one.
+//
+// localSuggestions(query) may return entries that are listed above the live
+// results, e.g. an address book: { id, description, detail, group, place }.
+// They are shown on focus already and selected without a provider lookup;
+// liveGroup is the heading of the live results below them.
+import { escapeHtml } from "helpers/html"
+
+const DEBOUNCE_MS = 250
+const MIN_QUERY_LENGTH = 3
+
+let instanceCount = 0
+
+export default class PlaceAutocomplete {
+  constructor(input, provider, { countries, types, bias, localSuggestions, liveGroup, onSelect }) {
+    this.input = input
+    this.provider = provider
+    this.countries = countries
+    this.types = types
+    this.bias = bias
+    this.localSuggestions = localSuggestions
+    this.liveGroup = liveGroup
+    this.onSelect = onSelect
+    this.suggestions = []
+    this.activeIndex = -1
+    this.requestId = 0
+    this.session = provider.newSession()
+
+    this.buildList()
+    this.bindEvents()
+  }
+
+  buildList() {
+    this.list = document.createElement("ul")
+    this.list.id = `place-suggestions-${++instanceCount}`
+    this.list.setAttribute("role", "listbox")
+    this.list.className = "absolute z-50 left-0 right-0 mt-1 bg-white border border-gray-200 rounded-lg shadow-lg max-h-64 overflow-y-auto hidden"
+
+    this.input.parentElement.classList.add("relative")
+    this.input.insertAdjacentElement("afterend", this.list)
+
+    this.input.setAttribute("autocomplete", "off")
+    this.input.setAttribute("role", "combobox")
+    this.input.setAttribute("aria-autocomplete", "list")
+    this.input.setAttribute("aria-controls", this.list.id)
+    this.input.setAttribute("aria-expanded", "false")
+  }
+
+  bindEvents() {
+    this.onInput = () => {
+      clearTimeout(this.debounceTimer)
+      this.debounceTimer = setTimeout(() => this.search(), DEBOUNCE_MS)
+    }
+    this.onKeydown = event => this.handleKeydown(event)
+    this.onBlur = () => setTimeout(() => this.close(), 150)
+    this.onFocus = () => {
+      if (this.localSuggestions) this.search()
+    }
+
+    this.input.addEventListener("input", this.onInput)
+    this.input.addEventListener("keydown", this.onKeydown)
+    this.input.addEventListener("blur", this.onBlur)
+    this.input.addEventListener("focus", this.onFocus)
+  }
+
+  destroy() {
+    clearTimeout(this.debounceTimer)
+    this.input.removeEventListener("input", this.onInput)
+    this.input.removeEventListener("keydown", this.onKeydown)
+    this.input.removeEventListener("blur", this.onBlur)
+    this.input.removeEventListener("focus", this.onFocus)
+    this.list.remove()
+  }
+
+  async search() {
+    const query = this.input.value.trim()
+    const requestId = ++this.requestId
+
+    const local = (this.localSuggestions?.(query) || []).map(suggestion => ({ ...suggestion, local: true }))
+    this.activeIndex = -1
+    this.show(local)
+    if (query.length < MIN_QUERY_LENGTH) return
+
+    let live
+    try {
+      live = await this.provider.searchPlaces(query, {
+        countries: this.countries,
+        types: this.types,
+        bias: this.bias,
+        session: this.session
+      })
+    } catch {
+      // Offline or blocked: the local suggestions stay listed
+      return
+    }
+    // Ignore responses that arrive after a newer search was started
+    if (requestId !== this.requestId) return
+
+    const group = local.length ? this.liveGroup : null
+    this.show([...local, ...live.map(suggestion => ({ ...suggestion, group }))])
+  }
+
+  show(suggestions) {
+    // Keep the highlighted entry when live results are appended below it
+    if (this.activeIndex >= suggestions.length) this.activeIndex = -1
+    this.suggestions = suggestions
+    this.render()
+  }
+
+  render() {
+    if (this.suggestions.length === 0) {
+      this.close()
+      return
+    }
+
+    this.list.innerHTML = this.suggestions.map((suggestion, index) => {
+      const heading = suggestion.group && suggestion.group !== this.suggestions[index - 1]?.group
+        ? `<li role="presentation" class="px-4 pt-2 pb-1 text-xs font-semibold text-gray-500 uppercase tracking-wide">${escapeHtml(suggestion.group)}</li>`
+        : ""
+
+      return `${heading}
+        <li id="${this.list.id}-${index}"
+            role="option"
+            aria-selected="${index === this.activeIndex}"
+            data-index="${index}"
+            class="px-4 py-2 text-sm text-gray-700 cursor-pointer ${index === this.activeIndex ? 'bg-gray-100' : 'hover:bg-gray-50'}">
+          ${escapeHtml(suggestion.description)}
+          ${suggestion.detail ? `<div class="text-xs text-gray-500 truncate">${escapeHtml(suggestion.detail)}</div>` : ""}
+        </li>
+      `
+    }).join("")
+
+    this.list.querySelectorAll("[role=option]").forEach(option => {
+      // mousedown fires before the input's blur closes the list
+      option.addEventListener("mousedown", event => {
+        event.preventDefault()
+        this.select(parseInt(option.dataset.index))
+      })
+    })
+
+    this.list.classList.remove("hidden")
+    this.input.setAttribute("aria-expanded", "true")
+    if (this.activeIndex >= 0) {
+      this.input.setAttribute("aria-activedescendant", `${this.list.id}-${this.activeIndex}`)
+    } else {
+      this.input.removeAttribute("aria-activedescendant")
+    }
+  }
+
+  close() {
+    this.list.classList.add("hidden")
+    this.input.setAttribute("aria-expanded", "false")
+    this.input.removeAttribute("aria-activedescendant")
+  }
+
+  handleKeydown(event) {
+    if (this.list.classList.contains("hidden")) return
+
+    switch (event.key) {
+      case "ArrowDown":
+        event.preventDefault()
+        this.activeIndex = (this.activeIndex + 1) % this.suggestions.length
+        this.render()
+        break
+      case "ArrowUp":
+        event.preventDefault()
+        this.activeIndex = this.activeIndex <= 0 ? this.suggestions.length - 1 : this.activeIndex - 1
+        this.render()
+        break
+      case "Enter":
+        // Never submit the surrounding form while the list is open
+        event.preventDefault()
+        if (this.activeIndex >= 0) this.select(this.activeIndex)
+        break
+      case "Escape":
+        this.close()
+        break
+    }
+  }
+
+  async select(index) {
+    const suggestion = this.suggestions[index]
+    if (!suggestion) return
+
+    this.close()
+
+    // Local entries carry the complete place already
+    if (suggestion.local) {
+      this.onSelect(suggestion.place)
+      return
+    }
+
+    this.input.value = suggestion.description
+
+    try {
+      const place = await this.provider.placeDetails(suggestion, { session: this.session })
+      this.onSelect(place)
+    } catch {
+      // Details unavailable: the description stays typed in, the server geocodes it on save
+    } finally {
+      // A details lookup ends the billing session
+      this.session = this.provider.newSession()
+    }
+  }
+}
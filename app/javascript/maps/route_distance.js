@@ -0,0 +1,67 @@
+// Road distance of the route entered in a transport request form, for the
+// estimates shown while it is filled in (transit time, vehicle prices).
+//
+// formWaypoints reads the coordinates of the pickup address, the visible stop
+// rows and the delivery address (address-autocomplete elements) in driving
+// order. roadDistanceKm asks the map provider for the road route and falls
+// back to the straight-line legs times ROAD_DETOUR_FACTOR when routing is
+// unavailable. Routes are cached per set of points, so controllers that ask
+// for the same route share one request.
+import { mapProvider } from "maps"
+
+// Straight-line km to road km
+const ROAD_DETOUR_FACTOR = 1.25
+
+const routes = new Map()
+
+// [pickup, ...stops, delivery] as { lat, lng }; stops without coordinates
+// are left out (the server geocodes them on save), null without both ends
+export function formWaypoints(pickupElement, deliveryElement) {
+  const pickup = coordinates(pickupElement)
+  const delivery = coordinates(deliveryElement)
+  if (!pickup || !delivery) return null
+
+  const stops = Array.from(pickupElement.closest("form")?.querySelectorAll(".stop-item") || [])
+    .filter(item => item.style.display !== "none")
+    .map(coordinates)
+    .filter(Boolean)
+
+  return [pickup, ...stops, delivery]
+}
+
+export function roadDistanceKm(points) {
+  const key = JSON.stringify(points)
+  if (!routes.has(key)) routes.set(key, routeDistanceKm(points))
+  return routes.get(key)
+}
+
+function estimatedRoadKm(points) {
+  const straightKm = points.slice(1).reduce((sum, point, index) => sum + haversineKm(points[index], point), 0)
+  return straightKm * ROAD_DETOUR_FACTOR
+}
+
+function haversineKm(from, to) {
+  const toRadians = degrees => degrees * Math.PI / 180
+  const deltaLat = toRadians(to.lat - from.lat)
+  const deltaLng = toRadians(to.lng - from.lng)
+  const a = Math.sin(deltaLat / 2) ** 2 +
+            Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(deltaLng / 2) ** 2
+
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a))
+}
+
+async function routeDistanceKm(points) {
+  try {
+    const provider = await mapProvider()
+    return (await provider.route(points)).distanceKm
+  } catch {
+    return estimatedRoadKm(points)
+  }
+}
+
+function coordinates(element) {
+  const value = name => parseFloat(element?.querySelector(`[data-address-autocomplete-target="${name}"]`)?.value)
+  const point = { lat: value("latitude"), lng: value("longitude") }
+
+  return Number.isFinite(point.lat) && Number.isFinite(point.lng) ? point : null
+}
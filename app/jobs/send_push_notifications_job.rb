@@ -0,0 +1,38 @@
+class SendPushNotificationsJob < ApplicationJob
+  queue_as :default
+
+  # Amounts in these params are formatted in the user's locale, in `currency`
+  AMOUNT_PARAMS = %i[total price].freeze
+  CURRENCY_UNITS = { "EUR" => "€" }.freeze
+
+  # Texts are push_notifications.<kind>.title/body in each user's locale,
+  # interpolated with `params`
+  def perform(user_ids, kind, path, params = {})
+    return unless PushSubscription.configured?
+
+    User.where(id: user_ids).includes(:push_subscriptions).find_each do |user|
+      next if user.push_subscriptions.empty?
+
+      I18n.with_locale(user.locale) do
+        texts = localized(params)
+        title = I18n.t("push_notifications.#{kind}.title", **texts)
+        body = I18n.t("push_notifications.#{kind}.body", **texts)
+
+        user.push_subscriptions.each { |subscription| subscription.deliver(title: title, body: body, path: path) }
+      end
+    end
+  end
+
+  private
+
+  def localized(params)
+    currency = params[:currency] || "EUR"
+    unit = CURRENCY_UNITS.fetch(currency, currency)
+
+    params.except(:currency).to_h do |key, value|
+      next [ key, value ] unless AMOUNT_PARAMS.include?(key)
+
+      [ key, value.nil? ? "–" : ActiveSupport::NumberHelper.number_to_currency(value, unit: unit) ]
+    end
+  end
+end
@@ -8,8 +8,9 @@ class Carrier < ApplicationRecord
   has_many :transport_requests, through: :carrier_requests
 
   # Geocoding
+  # Coordinates picked in the address autocomplete are kept as they are
   geocoded_by :address
-  after_validation :geocode, if: :address_changed?
+  after_validation :geocode, if: -> { address_changed? && !(latitude_changed? && latitude.present?) }
 
   # Validations
   validates :company_name, presence: true
@@ -1,4 +1,8 @@
 class PackageItem < ApplicationRecord
+  # Loading meters are trailer length at full trailer width; stacks stay below the usable height
+  TRAILER_WIDTH_CM = 240
+  STACKING_HEIGHT_CM = 260
+
   belongs_to :transport_request, inverse_of: :package_items
 
   # Validations
@@ -8,13 +12,124 @@ class PackageItem < ApplicationRecord
   validates :length_cm, :width_cm, :height_cm,
             numericality: { only_integer: true, greater_than: 0 }, allow_nil: true
 
+  # ADR declaration
+  with_options if: :dangerous_goods? do
+    validates :un_number, format: { with: /\A\d{4}\z/, message: "must be four digits" }
+    validates :adr_class, inclusion: { in: Adr::DangerousGoods::CLASSES }
+    validates :proper_shipping_name, presence: true
+    validates :packing_group, inclusion: { in: Adr::DangerousGoods::PACKING_GROUPS }, allow_blank: true
+    validates :tunnel_code, format: { with: Adr::DangerousGoods::TUNNEL_CODE_FORMAT, message: "is not an ADR tunnel code" }, allow_blank: true
+  end
+  validate :limited_quantity_permitted
+
+  before_validation :fill_dangerous_goods
+
   # Calculate total weight for this package item
   def total_weight
     (weight_kg || 0) * quantity
   end
 
+  def dimensions?
+    length_cm.present? && width_cm.present? && height_cm.present?
+  end
+
+  # Units on top of each other on one floor position (1 unless stackable)
+  def stack_layers
+    return 1 unless stackable && height_cm.to_i > 0
+
+    [ STACKING_HEIGHT_CM / height_cm, 1 ].max
+  end
+
+  # Trailer length the floor positions need, e.g. 0.4 per Euro pallet; 0 without footprint
+  def loading_meters
+    return 0 if length_cm.blank? || width_cm.blank?
+
+    floor_positions = (quantity.to_i / stack_layers.to_f).ceil
+    (length_cm * width_cm / TRAILER_WIDTH_CM.to_f / 100) * floor_positions
+  end
+
+  def self.volumetric_divisor
+    Rails.application.config.x.pricing.volumetric_divisor
+  end
+
+  # Volume of all units of this row; 0 without full dimensions
+  def volume_m3
+    return 0 unless dimensions?
+
+    length_cm * width_cm * height_cm * quantity.to_i / 1_000_000.0
+  end
+
+  def volumetric_weight
+    return 0 unless dimensions?
+
+    length_cm * width_cm * height_cm * quantity.to_i / self.class.volumetric_divisor.to_f
+  end
+
+  # Booking vehicles a single unit fits into (upright, turned by 90° if need be)
+  def fitting_vehicle_types
+    return TransportRequest::VEHICLE_TYPES_BOOKING.keys unless dimensions?
+
+    TransportRequest::VEHICLE_TYPES_BOOKING.select do |_key, vehicle|
+      length, width, height = vehicle[:cargo_space_cm]
+      height_cm <= height &&
+        ((length_cm <= length && width_cm <= width) || (width_cm <= length && length_cm <= width))
+    end.keys
+  end
+
+  # Too large for every booking vehicle
+  def oversized?
+    fitting_vehicle_types.empty?
+  end
+
+  # Hazard labels for the mixed loading check; the class label when the UN number is not in our dataset
+  def hazard_labels
+    return [] unless dangerous_goods?
+
+    Adr::DangerousGoods.find(un_number)&.fetch("labels") || [ adr_class ].compact
+  end
+
+  # Limited quantity allowance per inner packaging, e.g. "1 L"; "0" when LQ is not permitted
+  def limited_quantity_allowance
+    Adr::DangerousGoods.variant(un_number, packing_group)&.fetch("limited_quantity")
+  end
+
+  # "UN 1203 MOTOR SPIRIT, 3, II, (D/E)" as written in the transport document
+  def adr_description
+    return nil unless dangerous_goods?
+
+    [ "UN #{un_number} #{proper_shipping_name}", adr_class, packing_group.presence, tunnel_code.presence && "(#{tunnel_code})" ]
+      .compact.join(", ") + (limited_quantity? ? " LQ" : "")
+  end
+
   # Get the display label for the package type
   def package_type_label
     PackageTypePreset.find_by(name: package_type.titleize)&.name || package_type.humanize
   end
+
+  private
+
+  # Complete the row from the dataset; a row without dangerous goods keeps no ADR data
+  def fill_dangerous_goods
+    unless dangerous_goods?
+      self.un_number = self.adr_class = self.packing_group = self.proper_shipping_name = self.tunnel_code = nil
+      self.limited_quantity = false
+      return
+    end
+
+    self.un_number = un_number.to_s.strip.delete_prefix("UN").strip
+    substance = Adr::DangerousGoods.find(un_number)
+    return unless substance
+
+    self.adr_class = substance["class"] if adr_class.blank?
+    self.proper_shipping_name = substance["name"] if proper_shipping_name.blank?
+    self.packing_group = substance["variants"].keys.first if packing_group.blank? && substance["variants"].one?
+    self.packing_group = nil if packing_group == "-"
+    self.tunnel_code = Adr::DangerousGoods.variant(un_number, packing_group)&.fetch("tunnel_code") if tunnel_code.blank?
+  end
+
+  def limited_quantity_permitted
+    return unless dangerous_goods? && limited_quantity?
+
+    errors.add(:limited_quantity, "is not permitted for UN #{un_number}") if limited_quantity_allowance == "0"
+  end
 end
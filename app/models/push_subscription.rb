@@ -0,0 +1,43 @@
+# A browser that receives Web Push notifications for a user (push_subscription_controller.js)
+class PushSubscription < ApplicationRecord
+  belongs_to :user
+
+  # Validations
+  validates :endpoint, presence: true, uniqueness: true
+  validates :p256dh_key, :auth_key, presence: true
+
+  # VAPID key pair (bin/rails credentials:edit, web_push: public_key/private_key/subject),
+  # generated once with WebPush.generate_key
+  def self.public_key
+    Rails.application.credentials.dig(:web_push, :public_key)
+  end
+
+  def self.configured?
+    public_key.present? && Rails.application.credentials.dig(:web_push, :private_key).present?
+  end
+
+  def self.vapid
+    {
+      subject: Rails.application.credentials.dig(:web_push, :subject) || "mailto:#{ApplicationMailer.default[:from]}",
+      public_key: public_key,
+      private_key: Rails.application.credentials.dig(:web_push, :private_key)
+    }
+  end
+
+  # Shows a notification in this browser; clicking it opens `path`.
+  # Subscriptions the push service no longer knows are removed. Other failures,
+  # network errors included, are logged so the next subscription still gets its turn.
+  def deliver(title:, body:, path:)
+    WebPush.payload_send(
+      message: { title: title, options: { body: body, icon: "/icon.png", data: { path: path } } }.to_json,
+      endpoint: endpoint,
+      p256dh: p256dh_key,
+      auth: auth_key,
+      vapid: self.class.vapid
+    )
+  rescue WebPush::ExpiredSubscription, WebPush::InvalidSubscription
+    destroy
+  rescue StandardError => e
+    Rails.logger.warn("Push notification to subscription ##{id} failed: #{e.message}")
+  end
+end
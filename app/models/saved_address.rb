@@ -0,0 +1,50 @@
+class SavedAddress < ApplicationRecord
+  belongs_to :user
+
+  # Attributes copied from the start_/destination_ fields of a transport request
+  REQUEST_FIELDS = %w[
+    address company_name street street_number postal_code city state country latitude longitude
+  ].freeze
+
+  # Validations
+  validates :address, presence: true, uniqueness: { scope: :user_id }
+
+  # Addresses from the user's latest requests that are not in the address book yet.
+  # Returned as unsaved records so they serialize the same way as saved ones.
+  def self.recent_for(user, limit: 5)
+    saved = user.saved_addresses.pluck(:address)
+
+    user.transport_requests.order(created_at: :desc).limit(limit * 2)
+        .flat_map { |request| %w[start destination].map { |prefix| from_transport_request(request, prefix) } }
+        .reject { |entry| entry.address.blank? || saved.include?(entry.address) }
+        .uniq(&:address)
+        .first(limit)
+  end
+
+  def self.from_transport_request(request, prefix)
+    attributes = REQUEST_FIELDS.index_with { |field| request[:"#{prefix}_#{field}"] }
+    new(attributes.merge(gate_notes: request[:"#{prefix}_notes"]))
+  end
+
+  # Same shape as the normalized places in app/javascript/maps, plus the address book fields
+  def as_place_json
+    {
+      id: id,
+      formattedAddress: address,
+      name: company_name,
+      isEstablishment: company_name.present?,
+      location: latitude && longitude ? { lat: latitude.to_f, lng: longitude.to_f } : nil,
+      components: {
+        street: street,
+        streetNumber: street_number,
+        city: city,
+        state: state,
+        postalCode: postal_code,
+        country: country
+      },
+      contactName: contact_name,
+      contactPhone: contact_phone,
+      gateNotes: gate_notes
+    }
+  end
+end
@@ -5,8 +5,12 @@ class TransportRequest < ApplicationRecord
   has_many :carrier_requests, dependent: :destroy
   has_many :carriers, through: :carrier_requests
   has_many :package_items, dependent: :destroy
+  has_many :stops, -> { order(:position) }, class_name: "TransportRequestStop",
+           inverse_of: :transport_request, dependent: :destroy
   has_one :quote, dependent: :destroy
   accepts_nested_attributes_for :package_items, allow_destroy: true, reject_if: :all_blank
+  accepts_nested_attributes_for :stops, allow_destroy: true,
+                                reject_if: ->(attributes) { attributes["address"].blank? && attributes["id"].blank? }
 
   # Constants
   SHIPPING_MODES = {
@@ -15,25 +19,51 @@ class TransportRequest < ApplicationRecord
     'vehicle_booking' => 'Fahrzeugbuchung'
   }.freeze
 
+  # Smallest first; max_loading_meters is the usable load floor in loading meters,
+  # cargo_space_cm the inner length, width and height of the load space
   VEHICLE_TYPES_BOOKING = {
-    'sprinter' => { name: 'Planen-Sprinter', max_weight: 1000, price_per_km: 0.80 },
-    'sprinter_xxl' => { name: 'Planensprinter XXL', max_weight: 1100, price_per_km: 1.00 },
-    'lkw_7_5' => { name: 'LKW 7,5 to.', max_weight: 2500, price_per_km: 1.15 },
-    'lkw_12' => { name: 'LKW 12 to.', max_weight: 5000, price_per_km: 1.30 },
-    'lkw_40' => { name: 'LKW 40 to.', max_weight: 24000, price_per_km: 1.50 }
+    'sprinter' => { name: 'Planen-Sprinter', max_weight: 1000, max_loading_meters: 1.6, cargo_space_cm: [ 420, 210, 220 ], price_per_km: 0.80 },
+    'sprinter_xxl' => { name: 'Planensprinter XXL', max_weight: 1100, max_loading_meters: 2.0, cargo_space_cm: [ 485, 220, 250 ], price_per_km: 1.00 },
+    'lkw_7_5' => { name: 'LKW 7,5 to.', max_weight: 2500, max_loading_meters: 6.0, cargo_space_cm: [ 620, 245, 240 ], price_per_km: 1.15 },
+    'lkw_12' => { name: 'LKW 12 to.', max_weight: 5000, max_loading_meters: 7.2, cargo_space_cm: [ 720, 245, 250 ], price_per_km: 1.30 },
+    'lkw_40' => { name: 'LKW 40 to.', max_weight: 24000, max_loading_meters: 13.6, cargo_space_cm: [ 1360, 245, 270 ], price_per_km: 1.50 }
   }.freeze
 
+  # Customer bookings need a day's notice so dispatch can find a carrier and
+  # may be made up to BOOKING_HORIZON_DAYS ahead (the customer datetime picker
+  # is configured with the same limits)
+  BOOKING_LEAD_TIME_HOURS = 24
+  BOOKING_HORIZON_DAYS = 30
+
+  # Smallest booking vehicle that carries both; nil when even a full trailer is too small
+  def self.suggested_vehicle_type(weight_kg:, loading_meters:)
+    VEHICLE_TYPES_BOOKING.find do |_key, vehicle|
+      weight_kg <= vehicle[:max_weight] && loading_meters <= vehicle[:max_loading_meters]
+    end&.first
+  end
+
   # Validations
   validates :start_address, presence: true
   validates :destination_address, presence: true
   validates :pickup_date_from, presence: true
-  validates :vehicle_type, inclusion: { in: %w[transporter lkw either], allow_nil: true }
+  validates :vehicle_type, inclusion: { in: ->(request) { request.vehicle_types }, allow_nil: true }
   validates :status, inclusion: { in: %w[new quoted quote_accepted quote_declined matching matched in_transit delivered cancelled], allow_nil: true }
   validates :shipping_mode, inclusion: { in: SHIPPING_MODES.keys }, allow_nil: true
   validates :loading_meters, presence: true,
             numericality: { greater_than: 0, less_than_or_equal_to: 13.6 },
             if: -> { shipping_mode == 'loading_meters' }
+  validates :pickup_time_zone, :delivery_time_zone,
+            inclusion: { in: ->(_) { TZInfo::Timezone.all_identifiers } }, allow_blank: true
   validate :delivery_after_pickup
+  validate :time_windows_in_order
+  validate :dangerous_goods_loadable_together
+  # What customers may book themselves (the customer form's datetime picker blocks
+  # these days too); admins and dispatchers can still enter any date
+  validate :not_on_public_holiday, on: :customer_booking, if: :booking_dates_changed?
+  validate :within_booking_window, on: :customer_booking, if: :booking_dates_changed?
+
+  # Callbacks
+  before_validation :assign_time_zones
 
   # Scopes
   scope :active, -> { where.not(status: [ "cancelled", "delivered" ]) }
@@ -50,13 +80,188 @@ class TransportRequest < ApplicationRecord
     package_items.sum(:quantity)
   end
 
+  def package_loading_meters
+    package_items.reject(&:marked_for_destruction?).sum(&:loading_meters)
+  end
+
+  def total_package_volume_m3
+    package_items.reject(&:marked_for_destruction?).sum(&:volume_m3)
+  end
+
+  # What the shipment is priced by: the greater of actual and volumetric weight
+  def chargeable_package_weight
+    items = package_items.reject(&:marked_for_destruction?)
+    [ items.sum(&:total_weight), items.sum(&:volumetric_weight) ].max
+  end
+
+  # Rows declared as ADR dangerous goods
+  def dangerous_package_items
+    package_items.reject(&:marked_for_destruction?).select(&:dangerous_goods?)
+  end
+
+  def dangerous_goods?
+    dangerous_package_items.any?
+  end
+
+  # Pairs of rows that must not share a vehicle (ADR 7.5.2.1); limited quantities are exempt
+  def mixed_loading_conflicts
+    dangerous_package_items.reject(&:limited_quantity?).combination(2).reject do |item, other|
+      Adr::DangerousGoods.compatible?(item.hazard_labels, other.hazard_labels)
+    end
+  end
+
+  # Tunnel restriction code for the whole load, nil when no tunnel is closed to it
+  def package_tunnel_code
+    Adr::DangerousGoods.strictest_tunnel_code(dangerous_package_items.reject(&:limited_quantity?).map(&:tunnel_code))
+  end
+
+  # Route points in driving order: start, intermediate stops, destination
+  def waypoints
+    points = [ { lat: start_latitude&.to_f, lng: start_longitude&.to_f, stop_type: "pickup" } ]
+    stops.reject(&:marked_for_destruction?).sort_by { |stop| stop.position.to_i }.each do |stop|
+      points << { lat: stop.latitude&.to_f, lng: stop.longitude&.to_f, stop_type: stop.stop_type }
+    end
+    points << { lat: destination_latitude&.to_f, lng: destination_longitude&.to_f, stop_type: "drop" }
+    points
+  end
+
+  # Time windows as carriers quote them, e.g. "08:00–12:00"; nil without a window
+  def pickup_window
+    time_window(pickup_time_from, pickup_time_to)
+  end
+
+  def delivery_window
+    time_window(delivery_time_from, delivery_time_to)
+  end
+
+  # Window bounds in the time zone of their address (the datetime columns hold UTC instants)
+  def pickup_starts_at
+    pickup_date_from&.in_time_zone(pickup_zone)
+  end
+
+  def pickup_ends_at
+    pickup_date_to&.in_time_zone(pickup_zone)
+  end
+
+  def delivery_starts_at
+    delivery_date_from&.in_time_zone(delivery_zone)
+  end
+
+  def delivery_ends_at
+    delivery_date_to&.in_time_zone(delivery_zone)
+  end
+
+  def pickup_zone
+    ActiveSupport::TimeZone[pickup_time_zone.to_s] || Time.zone
+  end
+
+  def delivery_zone
+    ActiveSupport::TimeZone[delivery_time_zone.to_s] || Time.zone
+  end
+
+  def multi_stop?
+    stops.any?
+  end
+
+  # A vehicle booking (the booking cards, the suggested vehicle) names a concrete VEHICLE_TYPES_BOOKING key
+  def vehicle_types
+    types = %w[transporter lkw either]
+    shipping_mode == 'vehicle_booking' ? types + VEHICLE_TYPES_BOOKING.keys : types
+  end
+
+  # Sum of the straight-line legs between the waypoints; nil while a waypoint has no coordinates
+  def straight_line_distance_km
+    points = waypoints
+    return if points.any? { |point| point[:lat].blank? || point[:lng].blank? }
+
+    points.each_cons(2).sum do |from, to|
+      Geocoder::Calculations.distance_between([ from[:lat], from[:lng] ], [ to[:lat], to[:lng] ])
+    end
+  end
+
   private
 
+  # The address zone wins over the browser's guess; unknown countries keep the submitted zone
+  def assign_time_zones
+    self.pickup_time_zone = Calendar::TimeZones.for(start_country, longitude: start_longitude) || pickup_time_zone
+    self.delivery_time_zone = Calendar::TimeZones.for(destination_country, longitude: destination_longitude) || delivery_time_zone
+  end
+
+  # Calendar days in the zone of each address
   def delivery_after_pickup
     return unless pickup_date_from && delivery_date_from
 
-    if delivery_date_from < pickup_date_from
+    if delivery_starts_at.to_date < pickup_starts_at.to_date
       errors.add(:delivery_date_from, "must be after pickup date")
     end
   end
+
+  # Times are "HH:MM" wall-clock strings in the zone of their address; within one
+  # side they compare correctly as strings, across sides only as instants
+  def time_windows_in_order
+    if pickup_time_from.present? && pickup_time_to.present? && pickup_time_to <= pickup_time_from
+      errors.add(:pickup_time_to, "must be after pickup time from")
+    end
+
+    if delivery_time_from.present? && delivery_time_to.present? && delivery_time_to <= delivery_time_from
+      errors.add(:delivery_time_to, "must be after delivery time from")
+    end
+
+    pickup_start = zoned_time(pickup_starts_at, pickup_time_from)
+    delivery_end = zoned_time(delivery_starts_at, delivery_time_to)
+    return unless pickup_start && delivery_end
+
+    if delivery_end <= pickup_start
+      errors.add(:delivery_time_to, "must be after the pickup window starts")
+    end
+  end
+
+  def dangerous_goods_loadable_together
+    mixed_loading_conflicts.each do |item, other|
+      errors.add(:package_items, "UN #{item.un_number} and UN #{other.un_number} must not be loaded together")
+    end
+  end
+
+  # Pickup day at the start address, delivery day at the destination
+  def not_on_public_holiday
+    {
+      pickup_date_from: [ pickup_starts_at, start_country ],
+      delivery_date_from: [ delivery_starts_at, destination_country ]
+    }.each do |attribute, (day, country)|
+      holiday = day && Calendar::Holidays.name_on(day.to_date, country)
+      errors.add(attribute, "is a public holiday in #{country.upcase} (#{holiday})") if holiday
+    end
+  end
+
+  # The pickup window start (the end of the day without a time) after the lead
+  # time, with an hour's slack for a form that stayed open before it was sent
+  def within_booking_window
+    return unless pickup_starts_at
+
+    pickup_start = zoned_time(pickup_starts_at, pickup_time_from) || pickup_starts_at.end_of_day
+    if pickup_start < BOOKING_LEAD_TIME_HOURS.hours.from_now - 1.hour
+      errors.add(:pickup_date_from, "must be at least #{BOOKING_LEAD_TIME_HOURS} hours from now")
+    end
+
+    if pickup_starts_at.to_date > Time.current.in_time_zone(pickup_zone).to_date + BOOKING_HORIZON_DAYS
+      errors.add(:pickup_date_from, "must be within the next #{BOOKING_HORIZON_DAYS} days")
+    end
+  end
+
+  def booking_dates_changed?
+    %w[pickup_date_from pickup_time_from delivery_date_from start_country destination_country]
+      .any? { |attribute| will_save_change_to_attribute?(attribute) }
+  end
+
+  def zoned_time(day, time)
+    return if day.nil? || time.blank?
+
+    day.time_zone.parse("#{day.to_date.iso8601} #{time}")
+  end
+
+  def time_window(from, to)
+    return if from.blank?
+
+    [ from, to ].compact_blank.join("–")
+  end
 end
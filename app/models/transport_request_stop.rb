@@ -0,0 +1,36 @@
+class TransportRequestStop < ApplicationRecord
+  belongs_to :transport_request, inverse_of: :stops
+
+  STOP_TYPES = {
+    'pickup' => 'Pickup',
+    'drop' => 'Drop'
+  }.freeze
+
+  # Validations
+  validates :address, presence: true
+  validates :stop_type, inclusion: { in: STOP_TYPES.keys }
+  validates :position, numericality: { only_integer: true, greater_than_or_equal_to: 0 }
+  validate :window_to_after_window_from
+
+  def pickup?
+    stop_type == 'pickup'
+  end
+
+  def coordinates?
+    latitude.present? && longitude.present?
+  end
+
+  def stop_type_label
+    STOP_TYPES[stop_type] || stop_type.to_s.humanize
+  end
+
+  private
+
+  def window_to_after_window_from
+    return unless window_from && window_to
+
+    if window_to < window_from
+      errors.add(:window_to, "must be after the start of the time window")
+    end
+  end
+end
@@ -6,11 +6,13 @@ class User < ApplicationRecord
 
   # Associations
   has_many :transport_requests, dependent: :destroy
+  has_many :saved_addresses, dependent: :destroy
+  has_many :push_subscriptions, dependent: :destroy
 
   # Validations
   validates :role, inclusion: { in: %w[admin dispatcher customer] }
   validates :company_name, presence: true
-  validates :locale, inclusion: { in: %w[de en] }, allow_nil: false
+  validates :locale, inclusion: { in: %w[de en fr it nl] }, allow_nil: false
 
   # Callbacks
   after_initialize :set_default_locale, if: :new_record?
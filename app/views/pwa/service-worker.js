@@ -1,26 +1,182 @@
-// Add a service worker for processing Web Push notifications:
+// Take over at once: the page that registers the worker (e.g. the offer page a
+// carrier first opens from the invitation email) is controlled on that visit
+// already, and an updated worker does not wait until every tab is closed
+self.addEventListener("install", () => self.skipWaiting())
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(clients.claim())
+})
+
+// Web Push notifications (PushSubscription#deliver sends { title, options },
+// options.data.path is the page to open on click)
+
+self.addEventListener("push", (event) => {
+  if (!event.data) return
+
+  const { title, options } = event.data.json()
+  event.waitUntil(self.registration.showNotification(title, options))
+})
+
+// Focus a window that already shows the path, otherwise open it
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close()
+  const path = event.notification.data?.path || "/"
+
+  event.waitUntil(
+    clients.matchAll({ type: "window", includeUncontrolled: true }).then((clientList) => {
+      const client = clientList.find((client) => new URL(client.url).pathname === path && "focus" in client)
+      if (client) return client.focus()
+
+      if (clients.openWindow) return clients.openWindow(path)
+    })
+  )
+})
+
+// Offline carrier offers (offer_outbox_controller.js)
 //
-// self.addEventListener("push", async (event) => {
-//   const { title, options } = await event.data.json()
-//   event.waitUntil(self.registration.showNotification(title, options))
-// })
-//
-// self.addEventListener("notificationclick", function(event) {
-//   event.notification.close()
-//   event.waitUntil(
-//     clients.matchAll({ type: "window" }).then((clientList) => {
-//       for (let i = 0; i < clientList.length; i++) {
-//         let client = clientList[i]
-//         let clientPath = (new URL(client.url)).pathname
-//
-//         if (clientPath == event.notification.data.path && "focus" in client) {
-//           return client.focus()
-//         }
-//       }
-//
-//       if (clients.openWindow) {
-//         return clients.openWindow(event.notification.data.path)
-//       }
-//     })
-//   )
-// })
+// The public offer page (/offers/:id) is served network first and kept in
+// OFFER_CACHE, its digested assets are served from that cache, so the page
+// opens in a dead zone once it was opened with signal. A submit_offer POST
+// that does not reach the server is kept in IndexedDB (one offer per carrier
+// request, the latest wins) and the browser is redirected back to the offer
+// page. Queued offers are sent again on Background Sync, or when the page
+// reports that the browser is back online where sync is not supported.
+// Every status change is posted to the open pages as
+// { type: "offer-status", url, status: "queued" | "sent" | "failed", updatedAt }.
+
+const OFFER_CACHE = "offer-pages-v1"
+const OFFER_SYNC_TAG = "submit-offers"
+const OUTBOX_DB = "offer-outbox"
+const OUTBOX_STORE = "offers"
+const OFFER_PAGE_PATH = /^\/offers\/\d+$/
+const SUBMIT_OFFER_PATH = /^\/offers\/\d+\/submit_offer$/
+
+self.addEventListener("fetch", (event) => {
+  const url = new URL(event.request.url)
+  if (url.origin !== self.location.origin) return
+
+  if (event.request.method === "POST" && SUBMIT_OFFER_PATH.test(url.pathname)) {
+    event.respondWith(submitOffer(event.request))
+  } else if (event.request.method === "GET" && OFFER_PAGE_PATH.test(url.pathname)) {
+    event.respondWith(offerPage(event.request))
+  } else if (event.request.method === "GET" && url.pathname.startsWith("/assets/")) {
+    event.respondWith(caches.match(event.request).then((response) => response || fetch(event.request)))
+  }
+})
+
+self.addEventListener("sync", (event) => {
+  if (event.tag === OFFER_SYNC_TAG) event.waitUntil(replayOffers())
+})
+
+self.addEventListener("message", (event) => {
+  const { type } = event.data || {}
+
+  if (type === "cache-offer-page") {
+    event.waitUntil(cacheOfferPage(event.data.urls))
+  } else if (type === "offer-status") {
+    event.waitUntil(
+      outbox("readonly", (store) => store.get(event.data.url)).then((offer) => {
+        if (offer) event.source.postMessage(offerStatus(offer))
+      })
+    )
+  } else if (type === "replay-offers") {
+    // Still offline: the offers stay queued for the next attempt
+    event.waitUntil(replayOffers().catch(() => {}))
+  }
+})
+
+async function offerPage(request) {
+  const path = new URL(request.url).pathname
+
+  try {
+    const response = await fetch(request)
+    if (response.ok) {
+      const cache = await caches.open(OFFER_CACHE)
+      await cache.put(path, response.clone())
+    }
+    return response
+  } catch (error) {
+    return (await caches.match(path)) || Response.error()
+  }
+}
+
+// The page and the assets it loaded, sent by the page on its first visit
+// (before this worker controlled it)
+async function cacheOfferPage(urls = []) {
+  const cache = await caches.open(OFFER_CACHE)
+  await Promise.allSettled(urls.map((url) => cache.add(url)))
+}
+
+async function submitOffer(request) {
+  const fields = Array.from((await request.clone().formData()).entries())
+    .filter(([, value]) => typeof value === "string")
+
+  try {
+    return await fetch(request)
+  } catch (error) {
+    const offer = { url: request.url, fields, status: "queued", updatedAt: new Date().toISOString() }
+    await outbox("readwrite", (store) => store.put(offer))
+    await notifyPages(offer)
+    await self.registration.sync?.register(OFFER_SYNC_TAG).catch(() => {})
+
+    return Response.redirect(request.url.replace(/\/submit_offer$/, ""), 303)
+  }
+}
+
+// Throws while offline, so Background Sync tries again later
+async function replayOffers() {
+  const offers = await outbox("readonly", (store) => store.getAll())
+
+  for (const offer of offers.filter((offer) => offer.status === "queued")) {
+    const response = await fetch(offer.url, {
+      method: "POST",
+      body: new URLSearchParams(offer.fields),
+      credentials: "same-origin",
+      redirect: "manual"
+    })
+    // OffersController#submit_offer redirects when the offer is saved and
+    // renders the form again (422) when it is not; an authenticity token that
+    // expired with the session while the offer was queued is a 422 as well
+    const sent = response.type === "opaqueredirect" || response.ok
+    const updated = { ...offer, status: sent ? "sent" : "failed", updatedAt: new Date().toISOString() }
+
+    await outbox("readwrite", (store) => store.put(updated))
+    await notifyPages(updated)
+  }
+}
+
+async function notifyPages(offer) {
+  const pages = await clients.matchAll({ type: "window", includeUncontrolled: true })
+  pages.forEach((page) => page.postMessage(offerStatus(offer)))
+}
+
+function offerStatus({ url, status, updatedAt }) {
+  return { type: "offer-status", url, status, updatedAt }
+}
+
+function openOutbox() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(OUTBOX_DB, 1)
+    request.onupgradeneeded = () => request.result.createObjectStore(OUTBOX_STORE, { keyPath: "url" })
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+// Runs `operation` on the offers store and resolves with its result once the transaction is done
+async function outbox(mode, operation) {
+  const db = await openOutbox()
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(OUTBOX_STORE, mode)
+    const request = operation(transaction.objectStore(OUTBOX_STORE))
+    transaction.oncomplete = () => {
+      db.close()
+      resolve(request.result)
+    }
+    transaction.onerror = () => {
+      db.close()
+      reject(transaction.error)
+    }
+  })
+}
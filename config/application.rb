@@ -13,9 +13,21 @@ module MatchmakingPlatform
 
     # I18n configuration
     config.i18n.default_locale = :de
-    config.i18n.available_locales = [:de, :en]
+    config.i18n.available_locales = [:de, :en, :fr, :it, :nl]
     config.i18n.fallbacks = true
 
+    # Map & geocoding backend, exposed to the browser via meta tags (see app/javascript/maps)
+    # "google" = Google Maps + Places + Directions,
+    # "osm" = Leaflet tiles + Nominatim-compatible geocoder + OSRM-compatible router
+    config.x.maps.provider = ENV.fetch("MAP_PROVIDER", "google")
+    config.x.maps.tile_url = ENV.fetch("MAP_TILE_URL", "https://tile.openstreetmap.org/{z}/{x}/{y}.png")
+    config.x.maps.geocoder_url = ENV.fetch("MAP_GEOCODER_URL", "https://nominatim.openstreetmap.org")
+    config.x.maps.router_url = ENV.fetch("MAP_ROUTER_URL", "https://router.project-osrm.org")
+
+    # Volumetric weight divisor in cm³ per kg: 3000 (333 kg/m³) is common for road
+    # freight, parcel services use 5000 or 6000
+    config.x.pricing.volumetric_divisor = ENV.fetch("VOLUMETRIC_DIVISOR", 3000).to_i
+
     # Please, add to the `ignore` list any other `lib` subdirectories that do
     # not contain `.rb` files, or that should not be reloaded or eager loaded.
     # Common ones are `templates`, `generators`, or `middleware`, for example.
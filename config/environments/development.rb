@@ -69,6 +69,11 @@ Rails.application.configure do
   # Raise error when a before_action's only/except options reference missing actions.
   config.action_controller.raise_on_missing_callback_actions = true
 
+  # Fall back to OpenStreetMap when no Google Maps key is configured.
+  config.x.maps.provider = ENV.fetch("MAP_PROVIDER") do
+    Rails.application.credentials.dig(:google_maps, :api_key).present? ? "google" : "osm"
+  end
+
   # Apply autocorrection by RuboCop to files generated by `bin/rails generate`.
   # config.generators.apply_rubocop_autocorrect_after_generate!
 end
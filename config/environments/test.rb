@@ -50,4 +50,7 @@ Rails.application.configure do
 
   # Raise error when a before_action's only/except options reference missing actions.
   config.action_controller.raise_on_missing_callback_actions = true
+
+  # Map views must not depend on a Google Maps key; point MAP_GEOCODER_URL at a stub if needed.
+  config.x.maps.provider = "osm"
 end
@@ -1,7 +1,22 @@
-Geocoder.configure(
-  lookup: :google,
-  api_key: Rails.application.credentials.dig(:google_maps, :api_key),
-  use_https: true,
-  units: :km,
-  timeout: 5
-)
+maps = Rails.application.config.x.maps
+
+if maps.provider == "osm"
+  geocoder_uri = URI(maps.geocoder_url)
+
+  Geocoder.configure(
+    lookup: :nominatim,
+    nominatim: { host: maps.geocoder_url.sub(%r{\Ahttps?://}, "").chomp("/") },
+    use_https: geocoder_uri.scheme == "https",
+    http_headers: { "User-Agent" => "MatchmakingPlatform" },
+    units: :km,
+    timeout: 5
+  )
+else
+  Geocoder.configure(
+    lookup: :google,
+    api_key: Rails.application.credentials.dig(:google_maps, :api_key),
+    use_https: true,
+    units: :km,
+    timeout: 5
+  )
+end
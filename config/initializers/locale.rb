@@ -2,14 +2,18 @@
 # This file is loaded during Rails initialization
 
 # Set available locales
-I18n.available_locales = [:de, :en]
+I18n.available_locales = [:de, :en, :fr, :it, :nl]
 
 # Set default locale
 I18n.default_locale = :de
 
 # Configure fallback behavior
-# If a translation is missing in German, fall back to English, and vice versa
+# If a translation is missing in German, fall back to English, and vice versa.
+# French, Italian and Dutch are partially translated and fall back to English.
 Rails.application.config.i18n.fallbacks = {
   de: [:de, :en],
-  en: [:en, :de]
+  en: [:en, :de],
+  fr: [:fr, :en, :de],
+  it: [:it, :en, :de],
+  nl: [:nl, :en, :de]
 }
@@ -16,6 +16,11 @@ Rails.application.routes.draw do
   # Fallback root for unauthenticated users
   root "dashboard#index"
 
+  # Browsers subscribed to push notifications (service worker: app/views/pwa)
+  resource :push_subscription, only: [ :create, :destroy ]
+  get "service-worker" => "rails/pwa#service_worker", as: :pwa_service_worker
+  get "manifest" => "rails/pwa#manifest", as: :pwa_manifest
+
   # Public offer submission (no authentication required)
   resources :offers, only: [ :show ] do
     member do
@@ -26,12 +31,17 @@ Rails.application.routes.draw do
   # Customer namespace (requires customer authentication)
   namespace :customer do
     resource :dashboard, only: [ :show ]
+    resources :saved_addresses, only: [ :index, :create, :destroy ]
 
     resources :transport_requests do
       member do
         post :cancel
       end
 
+      collection do
+        post :quote_preview
+      end
+
       resource :quote, only: [] do
         post :accept
         post :decline
@@ -0,0 +1,28 @@
+class CreateTransportRequestStops < ActiveRecord::Migration[8.0]
+  def change
+    create_table :transport_request_stops do |t|
+      t.references :transport_request, null: false, foreign_key: true
+      t.integer :position, null: false, default: 0
+      t.string :stop_type, null: false, default: "drop"
+
+      t.string :address, null: false
+      t.decimal :latitude
+      t.decimal :longitude
+      t.string :country
+      t.string :company_name
+      t.string :street
+      t.string :street_number
+      t.string :city
+      t.string :state
+      t.string :postal_code
+      t.text :notes
+
+      t.datetime :window_from
+      t.datetime :window_to
+
+      t.timestamps
+    end
+
+    add_index :transport_request_stops, [:transport_request_id, :position]
+  end
+end
@@ -0,0 +1,10 @@
+class AddAddressDetailsToCarriers < ActiveRecord::Migration[8.0]
+  def change
+    # Depot address, captured like transport request addresses
+    add_column :carriers, :street, :string
+    add_column :carriers, :street_number, :string
+    add_column :carriers, :postal_code, :string
+    add_column :carriers, :city, :string
+    add_column :carriers, :state, :string
+  end
+end
@@ -0,0 +1,26 @@
+class CreateSavedAddresses < ActiveRecord::Migration[8.0]
+  def change
+    create_table :saved_addresses do |t|
+      t.references :user, null: false, foreign_key: true
+
+      t.string :address, null: false
+      t.string :company_name
+      t.string :contact_name
+      t.string :contact_phone
+      t.text :gate_notes
+
+      t.string :street
+      t.string :street_number
+      t.string :postal_code
+      t.string :city
+      t.string :state
+      t.string :country
+      t.decimal :latitude
+      t.decimal :longitude
+
+      t.timestamps
+    end
+
+    add_index :saved_addresses, [:user_id, :address], unique: true
+  end
+end
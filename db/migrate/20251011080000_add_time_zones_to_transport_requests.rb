@@ -0,0 +1,7 @@
+class AddTimeZonesToTransportRequests < ActiveRecord::Migration[8.0]
+  def change
+    # IANA zone of the pickup and delivery address; time windows are wall-clock times there
+    add_column :transport_requests, :pickup_time_zone, :string
+    add_column :transport_requests, :delivery_time_zone, :string
+  end
+end
@@ -0,0 +1,6 @@
+class AddStackableToPackageItems < ActiveRecord::Migration[8.0]
+  def change
+    # Stackable units share a floor position, which lowers the loading meters
+    add_column :package_items, :stackable, :boolean, default: false, null: false
+  end
+end
@@ -0,0 +1,12 @@
+class AddDangerousGoodsToPackageItems < ActiveRecord::Migration[8.0]
+  def change
+    # ADR declaration per package row, prefilled from config/adr_dangerous_goods.yml
+    add_column :package_items, :dangerous_goods, :boolean, default: false, null: false
+    add_column :package_items, :un_number, :string
+    add_column :package_items, :adr_class, :string
+    add_column :package_items, :packing_group, :string
+    add_column :package_items, :proper_shipping_name, :string
+    add_column :package_items, :tunnel_code, :string
+    add_column :package_items, :limited_quantity, :boolean, default: false, null: false
+  end
+end
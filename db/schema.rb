@@ -10,7 +10,7 @@
 #
 # It's strongly recommended that you check this file into your version control system.
 
-ActiveRecord::Schema[8.0].define(version: 2025_10_08_075819) do
+ActiveRecord::Schema[8.0].define(version: 2025_10_14_080000) do
   create_table "carrier_requests", force: :cascade do |t|
     t.integer "transport_request_id", null: false
     t.integer "carrier_id", null: false
@@ -60,6 +60,11 @@ ActiveRecord::Schema[8.0].define(version: 2025_10_08_075819) do
     t.datetime "updated_at", null: false
     t.text "pickup_countries"
     t.text "delivery_countries"
+    t.string "street"
+    t.string "street_number"
+    t.string "postal_code"
+    t.string "city"
+    t.string "state"
   end
 
   create_table "package_items", force: :cascade do |t|
@@ -72,6 +77,14 @@ ActiveRecord::Schema[8.0].define(version: 2025_10_08_075819) do
     t.decimal "weight_kg", precision: 10, scale: 2
     t.datetime "created_at", null: false
     t.datetime "updated_at", null: false
+    t.boolean "stackable", default: false, null: false
+    t.boolean "dangerous_goods", default: false, null: false
+    t.string "un_number"
+    t.string "adr_class"
+    t.string "packing_group"
+    t.string "proper_shipping_name"
+    t.string "tunnel_code"
+    t.boolean "limited_quantity", default: false, null: false
     t.index ["transport_request_id", "package_type"], name: "index_package_items_on_transport_request_id_and_package_type"
     t.index ["transport_request_id"], name: "index_package_items_on_transport_request_id"
   end
@@ -101,6 +114,18 @@ ActiveRecord::Schema[8.0].define(version: 2025_10_08_075819) do
     t.index ["vehicle_type"], name: "index_pricing_rules_on_vehicle_type"
   end
 
+  create_table "push_subscriptions", force: :cascade do |t|
+    t.integer "user_id", null: false
+    t.string "endpoint", null: false
+    t.string "p256dh_key", null: false
+    t.string "auth_key", null: false
+    t.string "user_agent"
+    t.datetime "created_at", null: false
+    t.datetime "updated_at", null: false
+    t.index ["endpoint"], name: "index_push_subscriptions_on_endpoint", unique: true
+    t.index ["user_id"], name: "index_push_subscriptions_on_user_id"
+  end
+
   create_table "quote_line_items", force: :cascade do |t|
     t.integer "quote_id", null: false
     t.string "description", null: false
@@ -130,6 +155,50 @@ ActiveRecord::Schema[8.0].define(version: 2025_10_08_075819) do
     t.index ["transport_request_id"], name: "index_quotes_on_transport_request_id"
   end
 
+  create_table "saved_addresses", force: :cascade do |t|
+    t.integer "user_id", null: false
+    t.string "address", null: false
+    t.string "company_name"
+    t.string "contact_name"
+    t.string "contact_phone"
+    t.text "gate_notes"
+    t.string "street"
+    t.string "street_number"
+    t.string "postal_code"
+    t.string "city"
+    t.string "state"
+    t.string "country"
+    t.decimal "latitude"
+    t.decimal "longitude"
+    t.datetime "created_at", null: false
+    t.datetime "updated_at", null: false
+    t.index ["user_id", "address"], name: "index_saved_addresses_on_user_id_and_address", unique: true
+    t.index ["user_id"], name: "index_saved_addresses_on_user_id"
+  end
+
+  create_table "transport_request_stops", force: :cascade do |t|
+    t.integer "transport_request_id", null: false
+    t.integer "position", default: 0, null: false
+    t.string "stop_type", default: "drop", null: false
+    t.string "address", null: false
+    t.decimal "latitude"
+    t.decimal "longitude"
+    t.string "country"
+    t.string "company_name"
+    t.string "street"
+    t.string "street_number"
+    t.string "city"
+    t.string "state"
+    t.string "postal_code"
+    t.text "notes"
+    t.datetime "window_from"
+    t.datetime "window_to"
+    t.datetime "created_at", null: false
+    t.datetime "updated_at", null: false
+    t.index ["transport_request_id", "position"], name: "index_transport_request_stops_on_transport_request_id_and_position"
+    t.index ["transport_request_id"], name: "index_transport_request_stops_on_transport_request_id"
+  end
+
   create_table "transport_requests", force: :cascade do |t|
     t.integer "user_id", null: false
     t.string "status"
@@ -185,6 +254,8 @@ ActiveRecord::Schema[8.0].define(version: 2025_10_08_075819) do
     t.string "pickup_time_to"
     t.string "delivery_time_from"
     t.string "delivery_time_to"
+    t.string "pickup_time_zone"
+    t.string "delivery_time_zone"
     t.index ["matched_carrier_id"], name: "index_transport_requests_on_matched_carrier_id"
     t.index ["user_id"], name: "index_transport_requests_on_user_id"
   end
@@ -212,8 +283,11 @@ ActiveRecord::Schema[8.0].define(version: 2025_10_08_075819) do
   add_foreign_key "carrier_requests", "carriers"
   add_foreign_key "carrier_requests", "transport_requests"
   add_foreign_key "package_items", "transport_requests"
+  add_foreign_key "push_subscriptions", "users"
   add_foreign_key "quote_line_items", "quotes"
   add_foreign_key "quotes", "transport_requests"
+  add_foreign_key "saved_addresses", "users"
+  add_foreign_key "transport_request_stops", "transport_requests"
   add_foreign_key "transport_requests", "carriers", column: "matched_carrier_id"
   add_foreign_key "transport_requests", "users"
 end
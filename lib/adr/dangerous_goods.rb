@@ -0,0 +1,48 @@
+module Adr
+  class DangerousGoods
+    DATASET = Rails.root.join("config", "adr_dangerous_goods.yml")
+    CLASSES = %w[1 2 3 4.1 4.2 4.3 5.1 5.2 6.1 6.2 7 8 9].freeze
+    PACKING_GROUPS = %w[I II III].freeze
+    # Tunnel categories from least to most permissive; a code closes its own category and all before it
+    TUNNEL_CATEGORIES = %w[B C D E].freeze
+    # Tunnel restriction code of Table A without the brackets, e.g. "E", "B1000C", "C/D" or "-"
+    TUNNEL_CODE_FORMAT = %r{\A(?:[B-E](?:\d+[B-E])?(?:/[B-E](?:\d+[B-E])?)?|-)\z}
+
+    # Dataset entry for a UN number, or nil when it is not listed:
+    # { "name" => "ACETONE", "class" => "3", "labels" => ["3"], "variants" => { "II" => { ... } } }
+    def self.find(un_number)
+      dataset["substances"][un_number.to_s.strip.delete_prefix("UN").strip]
+    end
+
+    # Limited quantity and tunnel code for the packing group ("-" or blank without one)
+    def self.variant(un_number, packing_group)
+      variants = find(un_number)&.fetch("variants")
+      return nil unless variants
+
+      variants[packing_group.presence || "-"] || (variants.one? ? variants.values.first : nil)
+    end
+
+    # Tunnel restriction when carried in packages: "D/E" => "E", "B1000C" => "B1000C", "-" => nil
+    def self.package_tunnel_code(code)
+      code = code.to_s.split("/").last.to_s.strip
+      code.presence unless code == "-"
+    end
+
+    # Code that closes the most tunnels, e.g. ["E", "D", "C5000D"] => "C5000D"
+    def self.strictest_tunnel_code(codes)
+      codes.filter_map { |code| package_tunnel_code(code) }.min_by { |code| TUNNEL_CATEGORIES.index(code[0]) || TUNNEL_CATEGORIES.size }
+    end
+
+    # Whether packages with these hazard labels may be loaded on one vehicle
+    def self.compatible?(labels, other_labels)
+      rules = dataset["mixed_loading"]
+
+      labels.all? { |label| other_labels.all? { |other| rules.fetch(label, [ other ]).include?(other) } } &&
+        other_labels.all? { |other| labels.all? { |label| rules.fetch(other, [ label ]).include?(label) } }
+    end
+
+    def self.dataset
+      @dataset ||= YAML.load_file(DATASET)
+    end
+  end
+end
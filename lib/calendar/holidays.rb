@@ -0,0 +1,67 @@
+module Calendar
+  class Holidays
+    DATASET = Rails.root.join("config", "holidays.yml")
+
+    # National holidays per country within a date range, as handed to the datetime picker:
+    # { "DE" => { "2025-10-03" => "German Unity Day", ... }, "AT" => { ... } }
+    def self.for_range(range, countries: self.countries)
+      countries.index_with do |country|
+        range.each_with_object({}) do |date, holidays|
+          name = name_on(date, country)
+          holidays[date.iso8601] = name if name
+        end
+      end
+    end
+
+    # Name of the holiday on this date, or nil on a working day
+    def self.name_on(date, country)
+      rules = dataset[country.to_s.upcase]
+      return nil unless rules
+
+      fixed = rules.fetch("fixed", {})[date.strftime("%m-%d")]
+      return fixed if fixed
+
+      easter = easter_sunday(date.year, orthodox: rules["easter_calendar"] == "orthodox")
+      rules.fetch("easter", {})[(date - easter).to_i]
+    end
+
+    def self.countries
+      dataset.keys
+    end
+
+    def self.dataset
+      @dataset ||= YAML.load_file(DATASET)
+    end
+
+    # Gregorian date of Easter Sunday (anonymous Gregorian algorithm),
+    # or of Orthodox Easter (Meeus Julian algorithm, valid 1900-2099)
+    def self.easter_sunday(year, orthodox: false)
+      if orthodox
+        a = year % 4
+        b = year % 7
+        c = year % 19
+        d = (19 * c + 15) % 30
+        e = (2 * a + 4 * b - d + 34) % 7
+        month = (d + e + 114) / 31
+        day = (d + e + 114) % 31 + 1
+        Date.new(year, month, day) + 13
+      else
+        a = year % 19
+        b = year / 100
+        c = year % 100
+        d = b / 4
+        e = b % 4
+        f = (b + 8) / 25
+        g = (b - f + 1) / 3
+        h = (19 * a + b - d - g + 15) % 30
+        i = c / 4
+        k = c % 4
+        l = (32 + 2 * e + 2 * i - h - k) % 7
+        m = (a + 11 * h + 22 * l) / 451
+        month = (h + l - 7 * m + 114) / 31
+        day = (h + l - 7 * m + 114) % 31 + 1
+        Date.new(year, month, day)
+      end
+    end
+  end
+end
@@ -0,0 +1,35 @@
+module Calendar
+  class TimeZones
+    # IANA time zone per country of the addresses we serve
+    COUNTRY_ZONES = {
+      "AT" => "Europe/Vienna", "BE" => "Europe/Brussels", "BG" => "Europe/Sofia",
+      "CH" => "Europe/Zurich", "CZ" => "Europe/Prague", "DE" => "Europe/Berlin",
+      "DK" => "Europe/Copenhagen", "EE" => "Europe/Tallinn", "ES" => "Europe/Madrid",
+      "FI" => "Europe/Helsinki", "FR" => "Europe/Paris", "GB" => "Europe/London",
+      "GR" => "Europe/Athens", "HR" => "Europe/Zagreb", "HU" => "Europe/Budapest",
+      "IE" => "Europe/Dublin", "IT" => "Europe/Rome", "LT" => "Europe/Vilnius",
+      "LU" => "Europe/Luxembourg", "LV" => "Europe/Riga", "NL" => "Europe/Amsterdam",
+      "NO" => "Europe/Oslo", "PL" => "Europe/Warsaw", "PT" => "Europe/Lisbon",
+      "RO" => "Europe/Bucharest", "SE" => "Europe/Stockholm", "SI" => "Europe/Ljubljana",
+      "SK" => "Europe/Bratislava"
+    }.freeze
+
+    # Islands that keep another time than the mainland, westernmost first
+    ISLAND_ZONES = {
+      "ES" => [ { west_of: -13.0, zone: "Atlantic/Canary" } ],
+      "PT" => [ { west_of: -20.0, zone: "Atlantic/Azores" }, { west_of: -15.0, zone: "Atlantic/Madeira" } ]
+    }.freeze
+
+    # Zone of an address, or nil for a country we have no zone for
+    def self.for(country, longitude: nil)
+      country = country.to_s.upcase
+      island = ISLAND_ZONES.fetch(country, []).find { |rule| longitude.present? && longitude.to_f < rule[:west_of] }
+      island ? island[:zone] : COUNTRY_ZONES[country]
+    end
+
+    # As handed to the datetime picker, which resolves zones the same way
+    def self.dataset
+      { countries: COUNTRY_ZONES, islands: ISLAND_ZONES }
+    end
+  end
+end
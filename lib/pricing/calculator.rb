@@ -11,32 +11,34 @@ module Pricing
     # Calculate and create a quote for the transport request
     # Returns the created Quote object or nil if calculation fails
     def calculate
-      return nil unless validate_request
+      quote = build_quote
+      return nil unless quote
 
-      # Find applicable pricing rule
-      @pricing_rule = find_pricing_rule
-      unless @pricing_rule
-        @errors << "No pricing rule found for vehicle type: #{transport_request.vehicle_type}"
-        return nil
+      # Save quote with line items
+      if quote.save
+        # Update transport request status
+        transport_request.update(status: 'quoted')
+        quote
+      else
+        @errors += quote.errors.full_messages
+        nil
       end
-
-      # Calculate base price
-      base_price = calculate_base_price
-
-      # Calculate surcharges
-      surcharges = calculate_surcharges(base_price)
-
-      # Calculate total
-      total = base_price + surcharges.sum { |s| s[:amount] }
-
-      # Create quote with line items
-      create_quote(base_price, surcharges, total)
     rescue StandardError => e
       @errors << "Quote calculation failed: #{e.message}"
       Rails.logger.error("Pricing calculation error: #{e.message}\n#{e.backtrace.join("\n")}")
       nil
     end
 
+    # Same calculation for a request that is still being filled in
+    # Returns an unsaved Quote with its line items, or nil (see errors)
+    def preview
+      build_quote
+    rescue StandardError => e
+      @errors << "Quote calculation failed: #{e.message}"
+      Rails.logger.error("Pricing preview error: #{e.message}")
+      nil
+    end
+
     private
 
     def validate_request
@@ -107,8 +109,8 @@ module Pricing
     def weekend_pickup?
       return false unless transport_request.pickup_date_from
 
-      # Check if pickup is on Saturday (6) or Sunday (0)
-      [ 0, 6 ].include?(transport_request.pickup_date_from.wday)
+      # Check if pickup is on Saturday (6) or Sunday (0) where the goods are picked up
+      [ 0, 6 ].include?(transport_request.pickup_starts_at.wday)
     end
 
     def express_delivery?
@@ -118,7 +120,25 @@ module Pricing
       (transport_request.delivery_date_from - transport_request.pickup_date_from) <= 1.day
     end
 
-    def create_quote(base_price, surcharges, total)
+    def build_quote
+      return nil unless validate_request
+
+      # Find applicable pricing rule
+      @pricing_rule = find_pricing_rule
+      unless @pricing_rule
+        @errors << "No pricing rule found for vehicle type: #{transport_request.vehicle_type}"
+        return nil
+      end
+
+      # Calculate base price
+      base_price = calculate_base_price
+
+      # Calculate surcharges
+      surcharges = calculate_surcharges(base_price)
+
+      # Calculate total
+      total = base_price + surcharges.sum { |s| s[:amount] }
+
       quote = Quote.new(
         transport_request: transport_request,
         status: 'pending',
@@ -147,15 +167,7 @@ module Pricing
         )
       end
 
-      # Save quote with line items
-      if quote.save
-        # Update transport request status
-        transport_request.update(status: 'quoted')
-        quote
-      else
-        @errors += quote.errors.full_messages
-        nil
-      end
+      quote
     end
   end
 end
@@ -2,9 +2,7 @@ require "test_helper"
 
 class Admin::TransportRequestsControllerTest < ActionDispatch::IntegrationTest
   setup do
-    # Stub Geocoder to avoid real API calls
-    Geocoder.configure(lookup: :test, ip_lookup: :test)
-
+    # Stub Geocoder to avoid real API calls (test lookup, see test_helper.rb)
     Geocoder::Lookup::Test.add_stub(
       "Berlin, Germany", [
         {
@@ -117,6 +115,19 @@ class Admin::TransportRequestsControllerTest < ActionDispatch::IntegrationTest
     assert assigns(:transport_request).new_record?
   end
 
+  test "new renders the datetime picker labels in the admin's locale" do
+    @admin.update!(locale: "fr")
+    sign_in @admin
+    get new_admin_transport_request_url
+
+    assert_select "html[lang=fr]"
+    assert_select "[data-datetime-picker-target='pickupCollapsed']", text: /Enlèvement/
+    assert_select "[data-datetime-picker-target='deliveryCollapsed']", text: /Livraison/
+    assert_select "#pickup-datetime-panel label", text: /Choisir la date/
+    assert_select "textarea[name='transport_request[delivery_notes]'][placeholder=?]",
+                  I18n.t("datetime_picker.delivery_notes_placeholder", locale: :fr)
+  end
+
   # ========== CREATE ACTION - PACKAGES MODE ==========
 
   test "create with packages mode and nested package_items" do
@@ -189,6 +200,30 @@ class Admin::TransportRequestsControllerTest < ActionDispatch::IntegrationTest
     assert_equal 'DE', request.destination_country
   end
 
+  test "create keeps the coordinates of a dragged pin" do
+    sign_in @admin
+
+    post admin_transport_requests_url, params: {
+      transport_request: {
+        shipping_mode: 'packages',
+        start_address: 'Berlin, Germany',
+        start_latitude: 52.5301,
+        start_longitude: 13.3849,
+        start_country: 'DE',
+        destination_address: 'Munich, Germany',
+        pickup_date_from: 2.days.from_now,
+        package_items_attributes: [
+          { package_type: 'euro_pallet', quantity: 1, weight_kg: 100 }
+        ]
+      }
+    }
+
+    request = TransportRequest.last
+    assert_equal 52.5301, request.start_latitude
+    assert_equal 13.3849, request.start_longitude
+    assert_equal 48.1351, request.destination_latitude
+  end
+
   test "create with packages mode requires package_items" do
     sign_in @admin
 
@@ -477,6 +512,52 @@ class Admin::TransportRequestsControllerTest < ActionDispatch::IntegrationTest
     assert_equal 9.9937, @transport_request.start_longitude
   end
 
+  test "update keeps the coordinates of a dragged pin" do
+    sign_in @admin
+
+    # The pin's reverse-geocoded address changes along with the coordinates
+    patch admin_transport_request_url(@transport_request), params: {
+      transport_request: {
+        start_address: 'Pariser Platz, 10117 Berlin, Germany',
+        start_latitude: 52.5163,
+        start_longitude: 13.3777
+      }
+    }
+
+    @transport_request.reload
+    assert_equal 'Pariser Platz, 10117 Berlin, Germany', @transport_request.start_address
+    assert_equal 52.5163, @transport_request.start_latitude
+    assert_equal 13.3777, @transport_request.start_longitude
+  end
+
+  test "update with a new stop geocodes it and recalculates distance" do
+    sign_in @admin
+
+    Geocoder::Lookup::Test.add_stub(
+      "Leipzig, Germany", [
+        {
+          'coordinates' => [51.3397, 12.3731],
+          'country_code' => 'DE'
+        }
+      ]
+    )
+    distance_before = @transport_request.distance_km
+
+    patch admin_transport_request_url(@transport_request), params: {
+      transport_request: {
+        stops_attributes: {
+          '0' => { position: 2, stop_type: 'pickup', address: 'Leipzig, Germany' }
+        }
+      }
+    }
+
+    @transport_request.reload
+    stop = @transport_request.stops.last
+    assert_equal 'Leipzig, Germany', stop.address
+    assert_equal 51.3397, stop.latitude
+    assert_not_equal distance_before, @transport_request.distance_km
+  end
+
   # ========== DESTROY ACTION ==========
 
   test "destroy deletes transport request" do
@@ -0,0 +1,78 @@
+require "test_helper"
+
+class Customer::SavedAddressesControllerTest < ActionDispatch::IntegrationTest
+  setup do
+    @customer = users(:customer_one)
+    @saved_address = saved_addresses(:berlin_warehouse)  # Belongs to customer_one
+    @other_saved_address = saved_addresses(:vienna_depot)  # Belongs to customer_two
+  end
+
+  test "should require authentication for index" do
+    get customer_saved_addresses_url, as: :json
+    assert_response :unauthorized
+  end
+
+  test "index lists saved and recently used addresses of the current user" do
+    sign_in @customer
+    get customer_saved_addresses_url, as: :json
+    assert_response :success
+
+    json = response.parsed_body
+    assert_equal [ @saved_address.address ], json["saved"].map { |entry| entry["formattedAddress"] }
+    assert_includes json["recent"].map { |entry| entry["formattedAddress"] }, "Munich, Germany"
+    assert json["recent"].all? { |entry| entry["id"].nil? }
+  end
+
+  test "create stores a new address" do
+    sign_in @customer
+
+    assert_difference("@customer.saved_addresses.count") do
+      post customer_saved_addresses_url, params: {
+        saved_address: { address: "Hafenstraße 1, 20457 Hamburg, Germany", company_name: "Port Logistics", gate_notes: "Use gate B" }
+      }, as: :json
+    end
+
+    assert_response :created
+    assert_equal "Port Logistics", response.parsed_body["name"]
+    assert_equal "Use gate B", response.parsed_body["gateNotes"]
+  end
+
+  test "create updates an existing entry with the same address" do
+    sign_in @customer
+
+    assert_no_difference("SavedAddress.count") do
+      post customer_saved_addresses_url, params: {
+        saved_address: { address: @saved_address.address, contact_name: "Tom Berger" }
+      }, as: :json
+    end
+
+    assert_response :created
+    assert_equal "Tom Berger", @saved_address.reload.contact_name
+  end
+
+  test "create rejects a blank address" do
+    sign_in @customer
+    post customer_saved_addresses_url, params: { saved_address: { address: "" } }, as: :json
+
+    assert_response :unprocessable_entity
+    assert_includes response.parsed_body["errors"], "Address can't be blank"
+  end
+
+  test "destroy removes an own address" do
+    sign_in @customer
+
+    assert_difference("SavedAddress.count", -1) do
+      delete customer_saved_address_url(@saved_address), as: :json
+    end
+    assert_response :no_content
+  end
+
+  test "destroy cannot remove another customer's address" do
+    sign_in @customer
+
+    assert_no_difference("SavedAddress.count") do
+      delete customer_saved_address_url(@other_saved_address), as: :json
+    end
+    assert_response :not_found
+  end
+end
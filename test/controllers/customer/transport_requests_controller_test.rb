@@ -2,6 +2,11 @@ require "test_helper"
 
 class Customer::TransportRequestsControllerTest < ActionDispatch::IntegrationTest
   setup do
+    # Unknown addresses geocode to nothing (test lookup, see test_helper.rb)
+    Geocoder::Lookup::Test.set_default_stub([])
+    # A Tuesday without holidays nearby, so the relative dates below are bookable
+    travel_to Time.utc(2025, 10, 14, 9)
+
     @customer = users(:customer_one)
     @customer_two = users(:customer_two)
     @admin = users(:admin_user)
@@ -9,6 +14,10 @@ class Customer::TransportRequestsControllerTest < ActionDispatch::IntegrationTes
     @other_customer_request = transport_requests(:vehicle_booking_mode)  # Belongs to customer_two
   end
 
+  teardown do
+    Geocoder::Lookup::Test.reset
+  end
+
   # ========== AUTHENTICATION & AUTHORIZATION ==========
 
   test "should require authentication for index" do
@@ -131,6 +140,56 @@ class Customer::TransportRequestsControllerTest < ActionDispatch::IntegrationTes
     assert_equal @customer, request.user
   end
 
+  test "new passes the holiday calendar to the datetime picker" do
+    sign_in @customer
+    get new_customer_transport_request_url
+
+    picker = css_select("[data-controller='datetime-picker']").first
+    holidays = JSON.parse(picker["data-datetime-picker-holidays-value"])
+    assert_equal 16, holidays.size
+    assert_equal "block", picker["data-datetime-picker-holiday-policy-value"]
+    assert_equal "pickup-address", picker["data-datetime-picker-pickup-address-value"]
+    assert_select "#pickup-address[data-controller='address-autocomplete'] #transport_request_start_country"
+  end
+
+  test "new requires a day's notice for pickups" do
+    sign_in @customer
+    get new_customer_transport_request_url
+
+    picker = css_select("[data-controller='datetime-picker']").first
+    assert_equal "24", picker["data-datetime-picker-lead-time-hours-value"]
+    assert_equal "30", picker["data-datetime-picker-horizon-days-value"]
+    assert_equal "delivery-address", picker["data-datetime-picker-delivery-address-value"]
+  end
+
+  test "new passes the booking vehicles to the package calculator" do
+    sign_in @customer
+    get new_customer_transport_request_url
+
+    calculator = css_select("[data-controller='package-items']").first
+    vehicles = JSON.parse(calculator["data-package-items-vehicles-value"])
+    assert_equal TransportRequest::VEHICLE_TYPES_BOOKING.keys, vehicles.map { |vehicle| vehicle["key"] }
+    assert_equal 13.6, vehicles.last["max_loading_meters"]
+  end
+
+  test "new renders the datetime picker in the customer's locale" do
+    @customer.update!(locale: "fr")
+    sign_in @customer
+    get new_customer_transport_request_url
+
+    assert_select "html[lang=fr]"
+    picker = css_select("[data-controller='datetime-picker']").first
+    translations = JSON.parse(picker["data-datetime-picker-translations-value"])
+    assert_equal "Enlèvement", translations["pickup"]
+  end
+
+  test "new keeps the form draft per user" do
+    sign_in @customer
+    get new_customer_transport_request_url
+
+    assert_select "form[data-controller='form-draft'][data-form-draft-key-value=?]", "transport_request_draft/#{@customer.id}/new"
+  end
+
   # ========== CREATE ACTION ==========
 
   test "create with packages mode and nested package_items" do
@@ -182,6 +241,76 @@ class Customer::TransportRequestsControllerTest < ActionDispatch::IntegrationTes
     assert_redirected_to customer_transport_request_path(request)
   end
 
+  test "create discards the new request's form draft" do
+    sign_in @customer
+
+    post customer_transport_requests_url, params: {
+      transport_request: {
+        shipping_mode: 'packages',
+        start_address: 'Berlin, Germany',
+        destination_address: 'Munich, Germany',
+        pickup_date_from: 2.days.from_now
+      }
+    }
+    assert_equal "transport_request_draft/#{@customer.id}/new", flash[:discard_form_draft]
+
+    follow_redirect!
+    assert_select "[data-controller='form-draft'][data-form-draft-discard-value='true']"
+  end
+
+  test "create rejects a pickup within the lead time" do
+    sign_in @customer
+
+    assert_no_difference('TransportRequest.count') do
+      post customer_transport_requests_url, params: {
+        transport_request: {
+          shipping_mode: 'packages',
+          start_address: 'Berlin, Germany',
+          start_country: 'DE',
+          destination_address: 'Munich, Germany',
+          destination_country: 'DE',
+          pickup_date_from: '2025-10-14T15:00:00+02:00',
+          pickup_time_from: '15:00'
+        }
+      }
+    end
+
+    assert_response :unprocessable_entity
+    assert_includes assigns(:transport_request).errors[:pickup_date_from], "must be at least 24 hours from now"
+  end
+
+  test "create rejects a delivery on a public holiday" do
+    sign_in @customer
+
+    assert_no_difference('TransportRequest.count') do
+      post customer_transport_requests_url, params: {
+        transport_request: {
+          shipping_mode: 'packages',
+          start_address: 'Berlin, Germany',
+          start_country: 'DE',
+          destination_address: 'Munich, Germany',
+          destination_country: 'DE',
+          pickup_date_from: '2025-10-28T08:00:00+01:00',
+          delivery_date_from: '2025-12-25T08:00:00+01:00'
+        }
+      }
+    end
+
+    assert_response :unprocessable_entity
+    assert_includes assigns(:transport_request).errors[:delivery_date_from], "is a public holiday in DE (Christmas Day)"
+  end
+
+  test "create with invalid data keeps the form draft" do
+    sign_in @customer
+
+    post customer_transport_requests_url, params: {
+      transport_request: { shipping_mode: 'packages', destination_address: 'Munich, Germany' }
+    }
+
+    assert_response :unprocessable_entity
+    assert_nil flash[:discard_form_draft]
+  end
+
   test "create calculates distance from coordinates" do
     sign_in @customer
 
@@ -233,6 +362,30 @@ class Customer::TransportRequestsControllerTest < ActionDispatch::IntegrationTes
     assert_match(/Angebot|erstellt/i, flash[:notice] || flash[:alert])
   end
 
+  test "create books a vehicle from the booking cards" do
+    sign_in @customer
+
+    assert_difference('TransportRequest.count', 1) do
+      post customer_transport_requests_url, params: {
+        transport_request: {
+          shipping_mode: 'vehicle_booking',
+          vehicle_type: 'lkw_7_5',
+          start_address: 'Hamburg, Germany',
+          start_latitude: 53.5511,
+          start_longitude: 9.9937,
+          start_country: 'DE',
+          destination_address: 'Frankfurt, Germany',
+          destination_latitude: 50.1109,
+          destination_longitude: 8.6821,
+          destination_country: 'DE',
+          pickup_date_from: 2.days.from_now
+        }
+      }
+    end
+
+    assert_equal 'lkw_7_5', TransportRequest.last.vehicle_type
+  end
+
   test "create with loading_meters mode" do
     sign_in @customer
 
@@ -333,6 +486,61 @@ class Customer::TransportRequestsControllerTest < ActionDispatch::IntegrationTes
     assert_equal 'de', request.driver_language
   end
 
+  test "create stores pickup and delivery time windows" do
+    sign_in @customer
+
+    post customer_transport_requests_url, params: {
+      transport_request: {
+        shipping_mode: 'packages',
+        start_address: 'Berlin, Germany',
+        destination_address: 'Munich, Germany',
+        pickup_date_from: 2.days.from_now.to_date,
+        pickup_date_to: 2.days.from_now.to_date,
+        pickup_time_from: '08:00',
+        pickup_time_to: '12:00',
+        delivery_date_from: 3.days.from_now.to_date,
+        delivery_date_to: 3.days.from_now.to_date,
+        delivery_time_from: '14:00',
+        delivery_time_to: '17:00'
+      }
+    }
+
+    request = TransportRequest.last
+    assert_equal '08:00–12:00', request.pickup_window
+    assert_equal '14:00–17:00', request.delivery_window
+  end
+
+  test "create keeps the offsets of the submitted times and the address time zones" do
+    travel_to Time.utc(2030, 6, 20, 9)
+    sign_in @customer
+
+    post customer_transport_requests_url, params: {
+      transport_request: {
+        shipping_mode: 'packages',
+        start_address: 'Warsaw, Poland',
+        start_country: 'PL',
+        destination_address: 'Lisbon, Portugal',
+        destination_country: 'PT',
+        pickup_date_from: '2030-07-01T08:00:00+02:00',
+        pickup_date_to: '2030-07-01T12:00:00+02:00',
+        pickup_time_from: '08:00',
+        pickup_time_to: '12:00',
+        pickup_time_zone: 'Europe/Warsaw',
+        delivery_date_from: '2030-07-04T09:00:00+01:00',
+        delivery_date_to: '2030-07-04T13:00:00+01:00',
+        delivery_time_from: '09:00',
+        delivery_time_to: '13:00',
+        delivery_time_zone: 'Europe/Lisbon'
+      }
+    }
+
+    request = TransportRequest.last
+    assert_equal Time.utc(2030, 7, 1, 6), request.pickup_date_from
+    assert_equal Time.utc(2030, 7, 4, 12), request.delivery_date_to
+    assert_equal "2030-07-04T09:00:00+01:00", request.delivery_starts_at.iso8601
+    assert_equal "Europe/Lisbon", request.delivery_time_zone
+  end
+
   # ========== EDIT ACTION ==========
 
   test "edit loads existing request" do
@@ -343,6 +551,13 @@ class Customer::TransportRequestsControllerTest < ActionDispatch::IntegrationTes
     assert_equal @transport_request, assigns(:transport_request)
   end
 
+  test "edit keeps a separate form draft per request" do
+    sign_in @customer
+    get edit_customer_transport_request_url(@transport_request)
+
+    assert_select "form[data-form-draft-key-value=?]", "transport_request_draft/#{@customer.id}/#{@transport_request.id}"
+  end
+
   # ========== UPDATE ACTION ==========
 
   test "update changes basic fields" do
@@ -358,6 +573,7 @@ class Customer::TransportRequestsControllerTest < ActionDispatch::IntegrationTes
 
     assert_redirected_to customer_transport_request_path(@transport_request)
     assert_equal "Request updated successfully.", flash[:notice]
+    assert_equal "transport_request_draft/#{@customer.id}/#{@transport_request.id}", flash[:discard_form_draft]
 
     @transport_request.reload
     assert_equal true, @transport_request.requires_liftgate
@@ -433,6 +649,73 @@ class Customer::TransportRequestsControllerTest < ActionDispatch::IntegrationTes
     assert_equal "Request cancelled successfully.", flash[:notice]
   end
 
+  # ========== QUOTE PREVIEW ==========
+
+  test "quote_preview prices the form without saving anything" do
+    sign_in @customer
+
+    assert_no_difference [ 'TransportRequest.count', 'Quote.count' ] do
+      post quote_preview_customer_transport_requests_url, params: {
+        transport_request: {
+          shipping_mode: 'vehicle_booking',
+          vehicle_type: 'lkw',
+          start_address: 'Hamburg, Germany',
+          start_latitude: 53.5511,
+          start_longitude: 9.9937,
+          destination_address: 'Frankfurt, Germany',
+          destination_latitude: 50.1109,
+          destination_longitude: 8.6821,
+          pickup_date_from: '2030-07-02T08:00:00+02:00',
+          delivery_date_from: '2030-07-04T08:00:00+02:00'
+        }
+      }
+    end
+
+    assert_response :success
+    preview = JSON.parse(response.body)
+    assert preview['distance_km'] > 350
+    assert_equal 'EUR', preview['currency']
+    assert_equal 1, preview['line_items'].size
+    assert_equal (preview['distance_km'] * 1.5).round(2), preview['total_price']
+  end
+
+  test "quote_preview lists weekend and express surcharges" do
+    sign_in @customer
+
+    post quote_preview_customer_transport_requests_url, params: {
+      transport_request: {
+        vehicle_type: 'lkw',
+        start_address: 'Hamburg, Germany',
+        start_latitude: 53.5511,
+        start_longitude: 9.9937,
+        destination_address: 'Frankfurt, Germany',
+        destination_latitude: 50.1109,
+        destination_longitude: 8.6821,
+        pickup_date_from: '2030-07-06T08:00:00+02:00',
+        delivery_date_from: '2030-07-07T08:00:00+02:00'
+      }
+    }
+
+    preview = JSON.parse(response.body)
+    assert_equal 3, preview['line_items'].size
+    assert_in_delta preview['line_items'].sum { |item| item['amount'] }, preview['total_price'], 0.01
+  end
+
+  test "quote_preview without coordinates is not priced" do
+    sign_in @customer
+
+    post quote_preview_customer_transport_requests_url, params: {
+      transport_request: {
+        vehicle_type: 'lkw',
+        start_address: 'Hamburg, Germany',
+        destination_address: 'Frankfurt, Germany',
+        pickup_date_from: 2.days.from_now
+      }
+    }
+
+    assert_response :unprocessable_entity
+    assert_includes JSON.parse(response.body)['errors'], "Distance must be calculated before pricing"
+  end
 
   # ========== STRONG PARAMETERS ==========
 
@@ -520,6 +803,137 @@ class Customer::TransportRequestsControllerTest < ActionDispatch::IntegrationTes
     assert_nil request.distance_km
   end
 
+  test "create geocodes manually entered addresses without coordinates" do
+    Geocoder::Lookup::Test.add_stub(
+      "Reeperbahn 1, 20359 Hamburg", [
+        { 'coordinates' => [53.5496, 9.9630], 'country_code' => 'de' }
+      ]
+    )
+    Geocoder::Lookup::Test.add_stub(
+      "Zeil 1, 60313 Frankfurt", [
+        { 'coordinates' => [50.1144, 8.6812], 'country_code' => 'de' }
+      ]
+    )
+    sign_in @customer
+
+    post customer_transport_requests_url, params: {
+      transport_request: {
+        shipping_mode: 'packages',
+        start_address: 'Reeperbahn 1, 20359 Hamburg',
+        start_street: 'Reeperbahn',
+        start_street_number: '1',
+        start_postal_code: '20359',
+        start_city: 'Hamburg',
+        destination_address: 'Zeil 1, 60313 Frankfurt',
+        destination_street: 'Zeil',
+        destination_street_number: '1',
+        destination_postal_code: '60313',
+        destination_city: 'Frankfurt',
+        pickup_date_from: 2.days.from_now,
+        package_items_attributes: [
+          { package_type: 'euro_pallet', quantity: 1, weight_kg: 100 }
+        ]
+      }
+    }
+
+    request = TransportRequest.last
+    assert_equal 53.5496, request.start_latitude
+    assert_equal 8.6812, request.destination_longitude
+    assert_equal 'DE', request.start_country
+    assert request.distance_km > 350
+  end
+
+  test "update geocodes address when coordinates were cleared" do
+    Geocoder::Lookup::Test.add_stub(
+      "Reeperbahn 1, 20359 Hamburg", [
+        { 'coordinates' => [53.5496, 9.9630], 'country_code' => 'de' }
+      ]
+    )
+    sign_in @customer
+
+    patch customer_transport_request_url(@transport_request), params: {
+      transport_request: {
+        start_address: 'Reeperbahn 1, 20359 Hamburg',
+        start_latitude: '',
+        start_longitude: ''
+      }
+    }
+
+    @transport_request.reload
+    assert_equal 53.5496, @transport_request.start_latitude
+    assert_equal 9.9630, @transport_request.start_longitude
+  end
+
+  test "create with stops geocodes stops and measures distance via all stops" do
+    Geocoder::Lookup::Test.add_stub(
+      "Hannover, Germany", [
+        { 'coordinates' => [52.3759, 9.7320], 'country_code' => 'de' }
+      ]
+    )
+    sign_in @customer
+
+    assert_difference('TransportRequestStop.count', 2) do
+      post customer_transport_requests_url, params: {
+        transport_request: {
+          shipping_mode: 'packages',
+          start_address: 'Hamburg, Germany',
+          start_latitude: 53.5511,
+          start_longitude: 9.9937,
+          destination_address: 'Frankfurt, Germany',
+          destination_latitude: 50.1109,
+          destination_longitude: 8.6821,
+          pickup_date_from: 2.days.from_now,
+          package_items_attributes: [
+            { package_type: 'euro_pallet', quantity: 1, weight_kg: 100 }
+          ],
+          stops_attributes: {
+            '0' => { position: 2, stop_type: 'drop', address: 'Kassel, Germany', latitude: 51.3127, longitude: 9.4797, country: 'DE' },
+            '1' => { position: 1, stop_type: 'pickup', address: 'Hannover, Germany' },
+            '2' => { position: 3, stop_type: 'drop', address: '' }
+          }
+        }
+      }
+    end
+
+    request = TransportRequest.last
+    assert_equal [ 'Hannover, Germany', 'Kassel, Germany' ], request.stops.map(&:address)
+    assert_equal 52.3759, request.stops.first.latitude
+    assert_equal 'DE', request.stops.first.country
+    assert_equal request.straight_line_distance_km.round, request.distance_km
+  end
+
+  test "update removes stops via _destroy" do
+    sign_in @customer
+    stop = transport_request_stops(:nuremberg_drop)
+
+    patch customer_transport_request_url(@transport_request), params: {
+      transport_request: {
+        stops_attributes: { '0' => { id: stop.id, _destroy: '1' } }
+      }
+    }
+
+    assert_nil TransportRequestStop.find_by(id: stop.id)
+    assert_equal @transport_request.reload.straight_line_distance_km.round, @transport_request.distance_km
+  end
+
+  test "update with an added stop measures the distance again" do
+    sign_in @customer
+    distance_before = @transport_request.straight_line_distance_km.round
+
+    patch customer_transport_request_url(@transport_request), params: {
+      transport_request: {
+        stops_attributes: {
+          '0' => { position: 2, stop_type: 'drop', address: 'Stuttgart, Germany', latitude: 48.7758, longitude: 9.1829, country: 'DE' }
+        }
+      }
+    }
+
+    @transport_request.reload
+    assert_equal 2, @transport_request.stops.count
+    assert_equal @transport_request.straight_line_distance_km.round, @transport_request.distance_km
+    assert_operator @transport_request.distance_km, :>, distance_before
+  end
+
   test "create sets user to current_user" do
     sign_in @customer
 
@@ -46,6 +46,22 @@ class OffersControllerTest < ActionDispatch::IntegrationTest
     assert_not_nil assigns(:carrier)
   end
 
+  test "show posts the offer form as carrier_request params" do
+    get offer_path(@carrier_request)
+
+    assert_select "form[action=?]", submit_offer_offer_path(@carrier_request) do
+      assert_select "input[name=?]", "carrier_request[offered_price]"
+      assert_select "input[name=?]", "carrier_request[offered_delivery_date]"
+    end
+  end
+
+  test "show keeps the offer form in the offline outbox" do
+    get offer_path(@carrier_request)
+
+    assert_select "[data-controller='offer-outbox'] form"
+    assert_select "[data-offer-outbox-target='status'][role='status']"
+  end
+
   # ========== SUBMIT OFFER ACTION ==========
 
   test "submit_offer with valid data updates carrier_request" do
@@ -95,4 +111,49 @@ class OffersControllerTest < ActionDispatch::IntegrationTest
     end
   end
 
+  test "submit_offer rejects a post with an invalid authenticity token" do
+    ActionController::Base.allow_forgery_protection = true
+    post submit_offer_offer_path(@carrier_request), params: {
+      authenticity_token: "expired",
+      carrier_request: { offered_price: 500.00 }
+    }
+
+    assert_response :unprocessable_entity
+    assert_equal "sent", @carrier_request.reload.status
+  ensure
+    ActionController::Base.allow_forgery_protection = false
+  end
+
+  test "submit_offer notifies admins and dispatchers" do
+    assert_enqueued_with(job: SendPushNotificationsJob) do
+      post submit_offer_offer_path(@carrier_request), params: {
+        carrier_request: {
+          offered_price: 500.00,
+          offered_delivery_date: 3.days.from_now
+        }
+      }
+    end
+
+    user_ids, kind, path = enqueued_jobs.last[:args]
+    assert_equal "offer_submitted", kind
+    assert_equal admin_carrier_request_path(@carrier_request), path
+    assert_includes user_ids, users(:admin_user).id
+    assert_includes user_ids, users(:dispatcher_user).id
+    assert_not_includes user_ids, users(:customer_one).id
+  end
+
+  test "submit_offer leaves formatting the price to the notification job" do
+    post submit_offer_offer_path(@carrier_request), params: {
+      carrier_request: {
+        offered_price: 1234.5,
+        offered_delivery_date: 3.days.from_now
+      }
+    }
+
+    params = ActiveJob::Arguments.deserialize(enqueued_jobs.last[:args]).last
+    assert_equal BigDecimal("1234.5"), params[:price]
+    assert_equal "EUR", params[:currency]
+    assert_equal @carrier.company_name, params[:carrier]
+  end
+
 end
@@ -0,0 +1,67 @@
+require "test_helper"
+
+class PushSubscriptionsControllerTest < ActionDispatch::IntegrationTest
+  setup do
+    @customer = users(:customer_one)
+    @subscription_params = {
+      push_subscription: {
+        endpoint: "https://push.example.com/send/new-browser",
+        keys: { p256dh: "BEl62iUYgUivxIkv69yViEuiBIa-Ib9-SkvMeAtA3LFgDzkrxZJjSgSnfckjBJuBkr3qBUYIHBQFLXYp5Nksh8U", auth: "8eDyX_uCN0XRhSbY5hs7Hg" }
+      }
+    }
+  end
+
+  test "should require authentication" do
+    post push_subscription_path, params: @subscription_params, as: :json
+    assert_response :unauthorized
+  end
+
+  test "create stores the browser for the signed-in user" do
+    sign_in @customer
+
+    assert_difference("@customer.push_subscriptions.count", 1) do
+      post push_subscription_path, params: @subscription_params, as: :json
+    end
+    assert_response :created
+
+    subscription = @customer.push_subscriptions.find_by(endpoint: "https://push.example.com/send/new-browser")
+    assert_equal "8eDyX_uCN0XRhSbY5hs7Hg", subscription.auth_key
+  end
+
+  test "create moves a known endpoint to the signed-in user" do
+    existing = push_subscriptions(:customer_one_browser)
+    other_customer = users(:customer_two)
+    sign_in other_customer
+
+    assert_no_difference("PushSubscription.count") do
+      post push_subscription_path, params: {
+        push_subscription: { endpoint: existing.endpoint, keys: { p256dh: existing.p256dh_key, auth: existing.auth_key } }
+      }, as: :json
+    end
+
+    assert_equal other_customer, existing.reload.user
+  end
+
+  test "create without keys is rejected" do
+    sign_in @customer
+
+    post push_subscription_path, params: { push_subscription: { endpoint: "https://push.example.com/send/no-keys" } }, as: :json
+
+    assert_response :unprocessable_entity
+  end
+
+  test "destroy removes only the user's own subscription" do
+    existing = push_subscriptions(:customer_one_browser)
+
+    sign_in users(:customer_two)
+    assert_no_difference("PushSubscription.count") do
+      delete push_subscription_path, params: { push_subscription: { endpoint: existing.endpoint } }, as: :json
+    end
+
+    sign_in @customer
+    assert_difference("PushSubscription.count", -1) do
+      delete push_subscription_path, params: { push_subscription: { endpoint: existing.endpoint } }, as: :json
+    end
+    assert_response :no_content
+  end
+end
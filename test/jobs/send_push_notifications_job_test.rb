@@ -0,0 +1,74 @@
+require "test_helper"
+require "minitest/mock"
+
+class SendPushNotificationsJobTest < ActiveJob::TestCase
+  setup do
+    @german = push_subscriptions(:customer_one_browser)
+    @english = users(:customer_two).push_subscriptions.create!(
+      endpoint: "https://push.example.com/send/customer-two",
+      p256dh_key: @german.p256dh_key,
+      auth_key: @german.auth_key
+    )
+    @user_ids = [ users(:customer_one).id, users(:customer_two).id ]
+  end
+
+  test "sends the texts in the locale of each user" do
+    messages = {}
+    payload_send = ->(message:, endpoint:, **) { messages[endpoint] = JSON.parse(message) }
+
+    deliver(payload_send)
+
+    assert_equal "Angebot für Anfrage #42 bereit", messages[@german.endpoint]["title"]
+    assert_equal "Ihr Angebot über 1.234,50 € liegt bereit.", messages[@german.endpoint]["options"]["body"]
+    assert_equal "Quote for request #42 ready", messages[@english.endpoint]["title"]
+    assert_equal "Your quote of €1,234.50 is ready.", messages[@english.endpoint]["options"]["body"]
+    assert_equal "/customer/transport_requests/42", messages[@english.endpoint]["options"]["data"]["path"]
+  end
+
+  test "removes expired subscriptions and keeps notifying the others" do
+    endpoints = []
+    payload_send = lambda do |endpoint:, **|
+      endpoints << endpoint
+      raise WebPush::ExpiredSubscription.new(Struct.new(:body).new("Gone"), "push.example.com") if endpoint == @german.endpoint
+    end
+
+    deliver(payload_send)
+
+    assert_equal [ @german.endpoint, @english.endpoint ].sort, endpoints.sort
+    assert_not PushSubscription.exists?(@german.id)
+    assert PushSubscription.exists?(@english.id)
+  end
+
+  test "a push service that cannot be reached does not stop the others" do
+    endpoints = []
+    payload_send = lambda do |endpoint:, **|
+      endpoints << endpoint
+      raise Net::OpenTimeout if endpoint == @german.endpoint
+    end
+
+    deliver(payload_send)
+
+    assert_equal 2, endpoints.size
+    assert PushSubscription.exists?(@german.id)
+  end
+
+  test "sends nothing without VAPID keys" do
+    payload_send = ->(**) { flunk "no push expected" }
+
+    PushSubscription.stub(:configured?, false) do
+      WebPush.stub(:payload_send, payload_send) do
+        SendPushNotificationsJob.perform_now(@user_ids, "quote_ready", "/customer/transport_requests/42", id: 42, total: 1234.5, currency: "EUR")
+      end
+    end
+  end
+
+  private
+
+  def deliver(payload_send)
+    PushSubscription.stub(:configured?, true) do
+      WebPush.stub(:payload_send, payload_send) do
+        SendPushNotificationsJob.perform_now(@user_ids, "quote_ready", "/customer/transport_requests/42", id: 42, total: 1234.5, currency: "EUR")
+      end
+    end
+  end
+end
@@ -1,7 +1,42 @@
 require "test_helper"
 
 class CarrierTest < ActiveSupport::TestCase
-  # test "the truth" do
-  #   assert true
-  # end
+  setup do
+    Geocoder::Lookup::Test.add_stub(
+      "Hafenstraße 1, 20457 Hamburg, Germany", [
+        { 'coordinates' => [ 53.5430, 9.9660 ], 'country_code' => 'DE' }
+      ]
+    )
+  end
+
+  teardown do
+    Geocoder::Lookup::Test.reset
+  end
+
+  test "keeps the coordinates picked in the address autocomplete" do
+    carrier = carriers(:german_logistics_gmbh)
+
+    carrier.update!(address: "Hafenstraße 1, 20457 Hamburg, Germany", latitude: 53.5400, longitude: 9.9700)
+
+    assert_equal 53.5400, carrier.reload.latitude
+    assert_equal 9.9700, carrier.longitude
+  end
+
+  test "geocodes a manually typed address" do
+    carrier = carriers(:german_logistics_gmbh)
+
+    carrier.update!(address: "Hafenstraße 1, 20457 Hamburg, Germany")
+
+    assert_equal 53.5430, carrier.reload.latitude
+    assert_equal 9.9660, carrier.longitude
+  end
+
+  test "does not geocode when the address is unchanged" do
+    carrier = carriers(:german_logistics_gmbh)
+
+    carrier.update!(contact_phone: "+49 69 87654321")
+
+    assert_equal 50.1109, carrier.reload.latitude
+    assert_equal 8.6821, carrier.longitude
+  end
 end
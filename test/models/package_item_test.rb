@@ -198,6 +198,106 @@ class PackageItemTest < ActiveSupport::TestCase
     assert package_item.save
   end
 
+  # Loading Meters
+  test "loading_meters uses the footprint against the trailer width" do
+    assert_in_delta 0.8, package_items(:euro_pallet_one).loading_meters, 0.001
+    assert_in_delta 0.5, package_items(:industrial_pallet_one).loading_meters, 0.001
+  end
+
+  test "stackable units share floor positions" do
+    package_item = PackageItem.new(package_type: "euro_pallet", quantity: 5, length_cm: 120, width_cm: 80, height_cm: 100, weight_kg: 200)
+    assert_in_delta 2.0, package_item.loading_meters, 0.001
+
+    package_item.stackable = true
+    assert_equal 2, package_item.stack_layers
+    assert_in_delta 1.2, package_item.loading_meters, 0.001
+  end
+
+  test "loading_meters is zero without a footprint" do
+    package_item = PackageItem.new(package_type: "custom", quantity: 3, weight_kg: 10)
+    assert_equal 0, package_item.loading_meters
+  end
+
+  # Volume & Chargeable Weight
+  test "volume_m3 and volumetric_weight cover all units of the row" do
+    package_item = package_items(:euro_pallet_one)
+
+    assert_in_delta 2.7648, package_item.volume_m3, 0.0001
+    assert_in_delta 2_764_800 / PackageItem.volumetric_divisor.to_f, package_item.volumetric_weight, 0.01
+  end
+
+  test "volume is zero without full dimensions" do
+    package_item = PackageItem.new(package_type: "custom", quantity: 2, length_cm: 100, width_cm: 100, weight_kg: 10)
+
+    assert_equal 0, package_item.volume_m3
+    assert_equal 0, package_item.volumetric_weight
+  end
+
+  test "fitting_vehicle_types turns units to fit and flags oversized ones" do
+    long_item = PackageItem.new(package_type: "custom", quantity: 1, length_cm: 200, width_cm: 450, height_cm: 100, weight_kg: 50)
+    assert_equal %w[sprinter_xxl lkw_7_5 lkw_12 lkw_40], long_item.fitting_vehicle_types
+    assert_not long_item.oversized?
+
+    tall_item = PackageItem.new(package_type: "custom", quantity: 1, length_cm: 120, width_cm: 80, height_cm: 300, weight_kg: 50)
+    assert tall_item.oversized?
+  end
+
+  # Dangerous goods (ADR)
+  test "fills dangerous goods data from the UN number" do
+    package_item = PackageItem.new(transport_request: transport_requests(:packages_mode), package_type: "custom",
+                                   quantity: 2, weight_kg: 200, dangerous_goods: true, un_number: "UN 1203")
+
+    assert package_item.valid?
+    assert_equal "1203", package_item.un_number
+    assert_equal "3", package_item.adr_class
+    assert_equal "II", package_item.packing_group
+    assert_equal "D/E", package_item.tunnel_code
+    assert_equal "UN 1203 MOTOR SPIRIT or GASOLINE or PETROL, 3, II, (D/E)", package_item.adr_description
+  end
+
+  test "requires class and proper shipping name for unknown UN numbers" do
+    package_item = PackageItem.new(transport_request: transport_requests(:packages_mode), package_type: "custom",
+                                   quantity: 1, weight_kg: 10, dangerous_goods: true, un_number: "9999")
+
+    assert_not package_item.valid?
+    assert_includes package_item.errors[:adr_class], "is not included in the list"
+    assert_includes package_item.errors[:proper_shipping_name], "can't be blank"
+  end
+
+  test "limited quantity only where the dataset permits it" do
+    package_item = PackageItem.new(transport_request: transport_requests(:packages_mode), package_type: "custom",
+                                   quantity: 1, weight_kg: 10, dangerous_goods: true, un_number: "3480", limited_quantity: true)
+
+    assert_not package_item.valid?
+    assert_includes package_item.errors[:limited_quantity], "is not permitted for UN 3480"
+  end
+
+  test "tunnel code must follow the ADR format" do
+    package_item = PackageItem.new(transport_request: transport_requests(:packages_mode), package_type: "custom",
+                                   quantity: 1, weight_kg: 10, dangerous_goods: true, un_number: "1203")
+
+    %w[E B1000C C5000D C/D D/E -].each do |code|
+      package_item.tunnel_code = code
+      assert package_item.valid?, "#{code} should be valid"
+    end
+
+    [ "<img src=x onerror=alert(1)>", "F", "D/", "b/d" ].each do |code|
+      package_item.tunnel_code = code
+      assert_not package_item.valid?, "#{code} should be invalid"
+      assert_includes package_item.errors[:tunnel_code], "is not an ADR tunnel code"
+    end
+  end
+
+  test "clears ADR data when the row carries no dangerous goods" do
+    package_item = PackageItem.new(transport_request: transport_requests(:packages_mode), package_type: "custom",
+                                   quantity: 1, weight_kg: 10, un_number: "1203", limited_quantity: true)
+
+    assert package_item.valid?
+    assert_nil package_item.un_number
+    assert_not package_item.limited_quantity
+    assert_empty package_item.hazard_labels
+  end
+
   # Database Constraints
   test "references transport_request correctly" do
     package_item = package_items(:euro_pallet_one)
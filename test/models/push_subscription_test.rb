@@ -0,0 +1,69 @@
+require "test_helper"
+require "minitest/mock"
+
+class PushSubscriptionTest < ActiveSupport::TestCase
+  test "should require endpoint and keys" do
+    subscription = PushSubscription.new(user: users(:customer_one))
+
+    assert_not subscription.valid?
+    assert_includes subscription.errors[:endpoint], "can't be blank"
+    assert_includes subscription.errors[:p256dh_key], "can't be blank"
+    assert_includes subscription.errors[:auth_key], "can't be blank"
+  end
+
+  test "should not allow the same endpoint twice" do
+    existing = push_subscriptions(:customer_one_browser)
+    subscription = PushSubscription.new(
+      user: users(:customer_two),
+      endpoint: existing.endpoint,
+      p256dh_key: existing.p256dh_key,
+      auth_key: existing.auth_key
+    )
+
+    assert_not subscription.valid?
+  end
+
+  test "is removed with its user" do
+    user = users(:customer_one)
+
+    assert_difference("PushSubscription.count", -user.push_subscriptions.count) do
+      user.destroy
+    end
+  end
+
+  test "deliver sends the notification to the endpoint" do
+    subscription = push_subscriptions(:customer_one_browser)
+    sent = nil
+    payload_send = ->(**options) { sent = options }
+
+    WebPush.stub(:payload_send, payload_send) do
+      subscription.deliver(title: "Title", body: "Body", path: "/customer/transport_requests/1")
+    end
+
+    assert_equal subscription.endpoint, sent[:endpoint]
+    assert_equal subscription.p256dh_key, sent[:p256dh]
+    assert_equal "/customer/transport_requests/1", JSON.parse(sent[:message])["options"]["data"]["path"]
+  end
+
+  test "deliver removes an expired subscription" do
+    subscription = push_subscriptions(:customer_one_browser)
+    payload_send = ->(**) { raise WebPush::ExpiredSubscription.new(Struct.new(:body).new("Gone"), "push.example.com") }
+
+    WebPush.stub(:payload_send, payload_send) do
+      subscription.deliver(title: "Title", body: "Body", path: "/")
+    end
+
+    assert_not PushSubscription.exists?(subscription.id)
+  end
+
+  test "deliver keeps the subscription when the push service cannot be reached" do
+    subscription = push_subscriptions(:customer_one_browser)
+    payload_send = ->(**) { raise Net::ReadTimeout }
+
+    WebPush.stub(:payload_send, payload_send) do
+      assert_nothing_raised { subscription.deliver(title: "Title", body: "Body", path: "/") }
+    end
+
+    assert PushSubscription.exists?(subscription.id)
+  end
+end
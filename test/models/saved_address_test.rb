@@ -0,0 +1,48 @@
+require "test_helper"
+
+class SavedAddressTest < ActiveSupport::TestCase
+  test "should require address" do
+    saved_address = SavedAddress.new(user: users(:customer_one))
+
+    assert_not saved_address.valid?
+    assert_includes saved_address.errors[:address], "can't be blank"
+  end
+
+  test "should not allow the same address twice per user" do
+    existing = saved_addresses(:berlin_warehouse)
+
+    assert_not SavedAddress.new(user: existing.user, address: existing.address).valid?
+    assert SavedAddress.new(user: users(:customer_two), address: existing.address).valid?
+  end
+
+  test "recent_for lists request addresses that are not saved yet" do
+    user = users(:customer_one)
+
+    recent = SavedAddress.recent_for(user)
+
+    assert recent.all?(&:new_record?)
+    assert_equal recent.map(&:address).uniq, recent.map(&:address)
+    assert_includes recent.map(&:address), "Berlin, Germany"
+    assert_not_includes recent.map(&:address), saved_addresses(:berlin_warehouse).address
+  end
+
+  test "from_transport_request copies the prefixed address fields" do
+    request = transport_requests(:packages_mode)
+
+    entry = SavedAddress.from_transport_request(request, "destination")
+
+    assert_equal request.destination_address, entry.address
+    assert_equal request.destination_latitude, entry.latitude
+    assert_equal request.destination_notes, entry.gate_notes
+  end
+
+  test "as_place_json matches the normalized place shape" do
+    json = saved_addresses(:berlin_warehouse).as_place_json
+
+    assert_equal "Industriestraße 5, 12099 Berlin, Germany", json[:formattedAddress]
+    assert_equal "Lager Tempelhof GmbH", json[:name]
+    assert_equal({ lat: 52.463, lng: 13.405 }, json[:location])
+    assert_equal "12099", json[:components][:postalCode]
+    assert_equal "Gate 3, ring at the barrier", json[:gateNotes]
+  end
+end
@@ -0,0 +1,52 @@
+require "test_helper"
+
+class TransportRequestStopTest < ActiveSupport::TestCase
+  # Associations
+  test "should belong to transport_request" do
+    stop = transport_request_stops(:nuremberg_drop)
+    assert_instance_of TransportRequest, stop.transport_request
+  end
+
+  test "should have inverse_of association" do
+    transport_request = transport_requests(:packages_mode)
+    stop = transport_request.stops.build(address: "Leipzig, Germany", stop_type: "pickup")
+
+    assert_equal transport_request, stop.transport_request
+  end
+
+  # Validations
+  test "should require address" do
+    stop = TransportRequestStop.new(transport_request: transport_requests(:packages_mode), stop_type: "drop")
+
+    assert_not stop.valid?
+    assert_includes stop.errors[:address], "can't be blank"
+  end
+
+  test "should only allow pickup or drop as stop_type" do
+    stop = TransportRequestStop.new(transport_request: transport_requests(:packages_mode), address: "Leipzig, Germany")
+
+    stop.stop_type = "pickup"
+    assert stop.valid?
+
+    stop.stop_type = "transfer"
+    assert_not stop.valid?
+    assert_includes stop.errors[:stop_type], "is not included in the list"
+  end
+
+  test "should require time window end after start" do
+    stop = transport_request_stops(:nuremberg_drop)
+    stop.window_to = stop.window_from - 1.hour
+
+    assert_not stop.valid?
+    assert_includes stop.errors[:window_to], "must be after the start of the time window"
+  end
+
+  # Helpers
+  test "pickup? reflects stop_type" do
+    stop = transport_request_stops(:nuremberg_drop)
+    assert_not stop.pickup?
+
+    stop.stop_type = "pickup"
+    assert stop.pickup?
+  end
+end
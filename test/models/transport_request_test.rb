@@ -38,6 +38,13 @@ class TransportRequestTest < ActiveSupport::TestCase
     assert transport_request.package_items.count > 0
   end
 
+  test "should have many stops ordered by position" do
+    transport_request = transport_requests(:packages_mode)
+    assert_respond_to transport_request, :stops
+    assert_equal [ transport_request_stops(:nuremberg_drop) ], transport_request.stops.to_a
+    assert transport_request.multi_stop?
+  end
+
   test "should have one quote" do
     transport_request = transport_requests(:packages_mode)
     assert_respond_to transport_request, :quote
@@ -129,6 +136,22 @@ class TransportRequestTest < ActiveSupport::TestCase
     end
   end
 
+  test "vehicle_type can be a booking vehicle for vehicle bookings only" do
+    transport_request = TransportRequest.new(
+      user: users(:customer_one),
+      start_address: "Berlin, Germany",
+      destination_address: "Munich, Germany",
+      pickup_date_from: 1.day.from_now,
+      shipping_mode: "vehicle_booking",
+      vehicle_type: "lkw_7_5"
+    )
+    assert transport_request.valid?
+
+    transport_request.shipping_mode = "packages"
+    assert_not transport_request.valid?
+    assert_includes transport_request.errors[:vehicle_type], "is not included in the list"
+  end
+
   test "status must be valid if present" do
     transport_request = TransportRequest.new(
       user: users(:customer_one),
@@ -253,6 +276,157 @@ class TransportRequestTest < ActiveSupport::TestCase
     assert transport_request.valid?
   end
 
+  test "time windows must end after they start" do
+    transport_request = transport_requests(:packages_mode)
+    transport_request.pickup_time_from = "12:00"
+    transport_request.pickup_time_to = "08:00"
+    transport_request.delivery_time_from = "10:00"
+    transport_request.delivery_time_to = "10:00"
+
+    assert_not transport_request.valid?
+    assert_includes transport_request.errors[:pickup_time_to], "must be after pickup time from"
+    assert_includes transport_request.errors[:delivery_time_to], "must be after delivery time from"
+  end
+
+  test "same day delivery window must end after the pickup window starts" do
+    date = 2.days.from_now.beginning_of_day
+    transport_request = TransportRequest.new(
+      user: users(:customer_one),
+      start_address: "Berlin, Germany",
+      destination_address: "Munich, Germany",
+      pickup_date_from: date,
+      pickup_time_from: "10:00",
+      pickup_time_to: "12:00",
+      delivery_date_from: date,
+      delivery_time_from: "06:00",
+      delivery_time_to: "09:00"
+    )
+
+    assert_not transport_request.valid?
+    assert_includes transport_request.errors[:delivery_time_to], "must be after the pickup window starts"
+
+    transport_request.delivery_time_to = "14:00"
+    assert transport_request.valid?
+  end
+
+  test "time zones follow the address country" do
+    transport_request = TransportRequest.new(start_country: "PL", destination_country: "PT", pickup_time_zone: "Europe/Berlin")
+    transport_request.valid?
+
+    assert_equal "Europe/Warsaw", transport_request.pickup_time_zone
+    assert_equal "Europe/Lisbon", transport_request.delivery_time_zone
+
+    transport_request.destination_country = "ES"
+    transport_request.destination_longitude = -15.43
+    transport_request.valid?
+    assert_equal "Atlantic/Canary", transport_request.delivery_time_zone
+  end
+
+  test "time zones must be known" do
+    transport_request = transport_requests(:packages_mode)
+    transport_request.start_country = nil
+    transport_request.pickup_time_zone = "Mars/Olympus_Mons"
+
+    assert_not transport_request.valid?
+    assert transport_request.errors[:pickup_time_zone].any?
+  end
+
+  test "delivery window is compared with the pickup window across time zones" do
+    transport_request = TransportRequest.new(
+      user: users(:customer_one),
+      start_address: "Warsaw, Poland",
+      start_country: "PL",
+      destination_address: "Lisbon, Portugal",
+      destination_country: "PT",
+      pickup_date_from: "2030-07-01T10:00:00+02:00",
+      pickup_time_from: "10:00",
+      pickup_time_to: "12:00",
+      delivery_date_from: "2030-07-01T08:00:00+01:00",
+      delivery_time_from: "08:00",
+      delivery_time_to: "09:30"
+    )
+
+    # 09:30 in Lisbon is 10:30 in Warsaw
+    assert transport_request.valid?
+
+    transport_request.delivery_time_to = "08:30"
+    assert_not transport_request.valid?
+    assert_includes transport_request.errors[:delivery_time_to], "must be after the pickup window starts"
+  end
+
+  test "customers cannot book public holidays at either address" do
+    travel_to Time.utc(2030, 9, 20, 9)
+    transport_request = TransportRequest.new(
+      user: users(:customer_one),
+      start_address: "Berlin, Germany",
+      start_country: "DE",
+      destination_address: "Vienna, Austria",
+      destination_country: "AT",
+      pickup_date_from: "2030-10-03T08:00:00+02:00",
+      delivery_date_from: "2030-10-04T08:00:00+02:00"
+    )
+
+    assert_not transport_request.valid?(:customer_booking)
+    assert_includes transport_request.errors[:pickup_date_from], "is a public holiday in DE (German Unity Day)"
+
+    # Admins and dispatchers may enter any date
+    assert transport_request.valid?
+
+    transport_request.pickup_date_from = "2030-10-02T08:00:00+02:00"
+    assert transport_request.valid?(:customer_booking)
+  end
+
+  test "customer pickups need the lead time and must be within the booking horizon" do
+    travel_to Time.utc(2030, 7, 1, 6)
+    transport_request = TransportRequest.new(
+      user: users(:customer_one),
+      start_address: "Berlin, Germany",
+      start_country: "DE",
+      destination_address: "Munich, Germany",
+      destination_country: "DE",
+      pickup_date_from: "2030-07-01T14:00:00+02:00",
+      pickup_time_from: "14:00"
+    )
+
+    assert_not transport_request.valid?(:customer_booking)
+    assert_includes transport_request.errors[:pickup_date_from], "must be at least 24 hours from now"
+    assert transport_request.valid?
+
+    transport_request.pickup_date_from = "2030-07-02T09:00:00+02:00"
+    transport_request.pickup_time_from = "09:00"
+    assert transport_request.valid?(:customer_booking)
+
+    transport_request.pickup_date_from = "2030-08-01T09:00:00+02:00"
+    assert_not transport_request.valid?(:customer_booking)
+    assert_includes transport_request.errors[:pickup_date_from], "must be within the next 30 days"
+
+    transport_request.pickup_date_from = "2030-07-31T09:00:00+02:00"
+    assert transport_request.valid?(:customer_booking)
+  end
+
+  test "holidays are checked only when the booked days change" do
+    transport_request = transport_requests(:packages_mode)
+    transport_request.update_columns(pickup_date_from: Time.utc(2025, 10, 3, 8), start_country: "DE")
+
+    transport_request.requires_liftgate = true
+    assert transport_request.valid?(:customer_booking)
+  end
+
+  test "window starts are shown in the zone of their address" do
+    transport_request = TransportRequest.new(pickup_date_from: "2030-07-01T08:00:00+02:00", pickup_time_zone: "Europe/Warsaw")
+
+    assert_equal "08:00 CEST", transport_request.pickup_starts_at.strftime("%H:%M %Z")
+    assert_equal Time.utc(2030, 7, 1, 6), transport_request.pickup_date_from
+  end
+
+  test "pickup_window and delivery_window format the time windows" do
+    transport_request = TransportRequest.new(pickup_time_from: "08:00", pickup_time_to: "12:00", delivery_time_from: "14:00")
+
+    assert_equal "08:00–12:00", transport_request.pickup_window
+    assert_equal "14:00", transport_request.delivery_window
+    assert_nil TransportRequest.new.pickup_window
+  end
+
   # ========== SCOPES ==========
 
   test "active scope excludes cancelled and delivered" do
@@ -305,6 +479,58 @@ class TransportRequestTest < ActiveSupport::TestCase
     assert_equal expected_count, transport_request.total_package_count
   end
 
+  test "package_loading_meters sums the package items" do
+    transport_request = transport_requests(:packages_mode)
+
+    assert_in_delta 1.3, transport_request.package_loading_meters, 0.001
+  end
+
+  test "chargeable_package_weight is the greater of actual and volumetric weight" do
+    transport_request = transport_requests(:packages_mode)
+    volumetric_weight = transport_request.package_items.sum(&:volumetric_weight)
+
+    assert_in_delta 4.4928, transport_request.total_package_volume_m3, 0.0001
+    assert_in_delta [ transport_request.total_package_weight, volumetric_weight ].max,
+                    transport_request.chargeable_package_weight, 0.01
+  end
+
+  test "suggested_vehicle_type picks the smallest vehicle for weight and loading meters" do
+    assert_equal "sprinter", TransportRequest.suggested_vehicle_type(weight_kg: 900, loading_meters: 1.2)
+    assert_equal "lkw_7_5", TransportRequest.suggested_vehicle_type(weight_kg: 900, loading_meters: 2.4)
+    assert_equal "lkw_12", TransportRequest.suggested_vehicle_type(weight_kg: 3000, loading_meters: 2.4)
+    assert_equal "lkw_40", TransportRequest.suggested_vehicle_type(weight_kg: 1000, loading_meters: 13.6)
+    assert_nil TransportRequest.suggested_vehicle_type(weight_kg: 1000, loading_meters: 14)
+  end
+
+  test "dangerous goods that must not share a vehicle are rejected" do
+    transport_request = transport_requests(:packages_mode)
+    transport_request.package_items.build(package_type: "custom", quantity: 1, weight_kg: 50, dangerous_goods: true, un_number: "1203")
+    transport_request.package_items.build(package_type: "custom", quantity: 1, weight_kg: 20, dangerous_goods: true, un_number: "0333")
+
+    assert_not transport_request.valid?
+    assert_includes transport_request.errors[:package_items], "UN 1203 and UN 0333 must not be loaded together"
+  end
+
+  test "limited quantities are exempt from mixed loading and tunnel restrictions" do
+    transport_request = transport_requests(:packages_mode)
+    transport_request.package_items.build(package_type: "custom", quantity: 1, weight_kg: 10, dangerous_goods: true, un_number: "1203", limited_quantity: true)
+    transport_request.package_items.build(package_type: "custom", quantity: 1, weight_kg: 20, dangerous_goods: true, un_number: "0333")
+
+    assert transport_request.valid?
+    assert_empty transport_request.mixed_loading_conflicts
+    assert_equal "B1000C", transport_request.package_tunnel_code
+  end
+
+  test "package_tunnel_code is the strictest code of the dangerous rows" do
+    transport_request = transport_requests(:packages_mode)
+    transport_request.package_items.build(package_type: "custom", quantity: 1, weight_kg: 50, dangerous_goods: true, un_number: "1830")
+    transport_request.package_items.build(package_type: "custom", quantity: 1, weight_kg: 50, dangerous_goods: true, un_number: "1203")
+
+    assert transport_request.valid?
+    assert transport_request.dangerous_goods?
+    assert_equal "E", transport_request.package_tunnel_code
+  end
+
   # ========== SHIPPING MODES ==========
 
   test "can create request in packages mode" do
@@ -411,6 +637,62 @@ class TransportRequestTest < ActiveSupport::TestCase
     assert_equal 0, transport_request.package_items.size
   end
 
+  test "can create stops through nested attributes" do
+    transport_request = TransportRequest.new(
+      user: users(:customer_one),
+      start_address: "Berlin, Germany",
+      destination_address: "Munich, Germany",
+      pickup_date_from: 1.day.from_now,
+      shipping_mode: "packages",
+      stops_attributes: [
+        { position: 2, stop_type: "drop", address: "Nuremberg, Germany" },
+        { position: 1, stop_type: "pickup", address: "Leipzig, Germany" }
+      ]
+    )
+
+    assert transport_request.save
+    assert_equal [ "Leipzig, Germany", "Nuremberg, Germany" ], transport_request.stops.reload.map(&:address)
+  end
+
+  test "rejects stops without address in nested attributes" do
+    transport_request = TransportRequest.new(
+      user: users(:customer_one),
+      start_address: "Berlin, Germany",
+      destination_address: "Munich, Germany",
+      pickup_date_from: 1.day.from_now,
+      stops_attributes: [ { position: 1, stop_type: "drop", address: "" } ]
+    )
+
+    assert transport_request.valid?
+    assert_equal 0, transport_request.stops.size
+  end
+
+  # ========== MULTI-STOP ROUTE ==========
+
+  test "waypoints run from start through stops to destination" do
+    transport_request = transport_requests(:packages_mode)
+
+    waypoints = transport_request.waypoints
+    assert_equal 3, waypoints.size
+    assert_equal({ lat: 52.52, lng: 13.405, stop_type: "pickup" }, waypoints.first)
+    assert_equal({ lat: 49.4521, lng: 11.0767, stop_type: "drop" }, waypoints.second)
+    assert_equal({ lat: 48.1351, lng: 11.582, stop_type: "drop" }, waypoints.last)
+  end
+
+  test "straight_line_distance_km sums the legs via all stops" do
+    transport_request = transport_requests(:packages_mode)
+
+    direct = Geocoder::Calculations.distance_between([ 52.52, 13.405 ], [ 48.1351, 11.582 ])
+    assert transport_request.straight_line_distance_km > direct
+  end
+
+  test "straight_line_distance_km is nil while a stop has no coordinates" do
+    transport_request = transport_requests(:packages_mode)
+    transport_request.stops.build(position: 2, stop_type: "drop", address: "Augsburg, Germany")
+
+    assert_nil transport_request.straight_line_distance_km
+  end
+
   # ========== DATABASE CONSTRAINTS ==========
 
   test "foreign key constraint enforced for user" do
@@ -2,6 +2,9 @@ ENV["RAILS_ENV"] ||= "test"
 require_relative "../config/environment"
 require "rails/test_help"
 
+# No real geocoding requests in tests; test classes add their stubs and reset them in teardown
+Geocoder.configure(lookup: :test, ip_lookup: :test)
+
 module ActiveSupport
   class TestCase
     # Run tests in parallel with specified workers